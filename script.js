@@ -91,29 +91,164 @@ function processJsonFile(file, callback) {
 
 // --- 2. 핵심 로직 (원가 및 효율 계산) ---
 
-// Helper to find a recipe and its type
-function findRecipe(itemName) {
-  if (appData.recipes && appData.recipes[itemName]) {
-    return { recipe: appData.recipes[itemName] };
+// 한 품목의 레시피 목록 (대안 레시피가 있으면 배열로 저장됨)
+function getRecipeVariants(itemName) {
+  if (!appData.recipes || !appData.recipes[itemName]) return [];
+  const entry = appData.recipes[itemName];
+  return Array.isArray(entry) ? entry : [entry];
+}
+
+// 레시피 선택과 구매/제작 결정은 (품목, 절약 레벨, 루트 여부, 제작 경로)가 같으면 결과도 같으므로
+// 한 번의 계산 동안 기억해 두고 다시 쓰지 않습니다. 계산 도중 설정이 바뀌지 않는 구간만 withDecisionCache로 감쌉니다.
+let decisionCache = null;
+
+function withDecisionCache(fn) {
+  if (decisionCache) return fn(); // 바깥 계산의 캐시를 그대로 사용
+  decisionCache = new Map();
+  try {
+    return fn();
+  } finally {
+    decisionCache = null;
   }
-  return null;
 }
 
-function getTotalCostIncludingStamina(itemName, visited = new Set(), conservationLevel = 0, isRoot = true) {
-  // Check if it's a material
-  if (appData.materials && appData.materials[itemName] !== undefined) {
-    if (appData.materials[itemName] <= 0) {
-      return { error: "material_price_missing", materialName: itemName };
+function cachedDecision(kind, itemName, conservationLevel, isRoot, visited, compute) {
+  if (!decisionCache) return compute();
+  const key = JSON.stringify([kind, itemName, conservationLevel, isRoot, [...visited]]);
+  if (!decisionCache.has(key)) decisionCache.set(key, compute());
+  return decisionCache.get(key);
+}
+
+// Helper to find a recipe and its type
+function findRecipe(itemName, conservationLevel = 0, isRoot = true, visited = new Set()) {
+  return cachedDecision('recipe', itemName, conservationLevel, isRoot, visited,
+    () => pickRecipe(itemName, conservationLevel, isRoot, visited));
+}
+
+// 대안 레시피가 여러 개면 현재 설정(스태미나 가치, 절약)에서 스태미나 포함 원가가 가장 낮은 것을 고릅니다.
+// 구매/제작 결정(resolveItemSource)과 같은 기준으로, 중간재료 스태미나 미포함 설정과 관계없이 모든 제작 스태미나를 셉니다.
+function pickRecipe(itemName, conservationLevel, isRoot, visited) {
+  const variants = getRecipeVariants(itemName);
+  if (variants.length === 0) return null;
+  if (variants.length === 1) {
+    return { recipe: variants[0], variantIndex: 0, variantCount: 1 };
+  }
+
+  let best = null;
+  variants.forEach((recipe, index) => {
+    const cost = getRecipeCost(recipe, new Set([...visited, itemName]), conservationLevel, isRoot, true);
+    if (typeof cost === 'object' && cost.error) return;
+    if (!best || cost < best.cost) {
+      best = { recipe: recipe, variantIndex: index, variantCount: variants.length, cost: cost };
     }
-    return appData.materials[itemName];
+  });
+  // 모든 대안이 계산 불가능하면 첫 번째 레시피로 계산하여 오류를 그대로 보여줍니다.
+  return best || { recipe: variants[0], variantIndex: 0, variantCount: variants.length };
+}
+
+// 레시피 재료를 "콩 2, 소금 1" 형식의 문자열로 표시
+function describeRecipe(recipe) {
+  return Object.entries(recipe.ingredients || {}).map(([name, count]) => `${name} ${count}`).join(', ');
+}
+
+// 레시피 1회 제작 시 생산되는 개수 (yield 미지정 시 1개)
+function getRecipeYield(recipe) {
+  return recipe.yield > 0 ? recipe.yield : 1;
+}
+
+// 생산 개수는 한 번에 만들어지는 아이템 수이므로 1 이상의 정수만 허용합니다.
+function isValidYield(value) {
+  return Number.isInteger(value) && value >= 1;
+}
+
+// 기본 카테고리 규칙 (data.json에 categories가 없을 때 사용)
+// conservation_rate: 절약 1레벨당 재료 감소율 / exempt: 절약 미적용 / rounding: 감소 후 개수 처리 방식
+const DEFAULT_CATEGORIES = {
+  '가공품': { conservation_rate: 0.05, exempt: true, rounding: 'round' },
+  '무침': { conservation_rate: 0.05, exempt: false, rounding: 'round' },
+  '볶음': { conservation_rate: 0.05, exempt: false, rounding: 'round' },
+  '바비큐': { conservation_rate: 0.05, exempt: false, rounding: 'round' },
+  '찜&조림': { conservation_rate: 0.05, exempt: false, rounding: 'round' },
+  '방직': { conservation_rate: 0.05, exempt: true, rounding: 'round' }
+};
+const ROUNDING_MODES = {
+  round: '반올림',
+  floor: '내림',
+  ceil: '올림',
+  min1: '반올림 (최소 1개)'
+};
+
+function getCategories() {
+  return appData.categories || DEFAULT_CATEGORIES;
+}
+
+// 등록되지 않은 카테고리는 레벨당 5%, 반올림으로 계산합니다.
+function getCategoryRule(category) {
+  const rule = getCategories()[category] || {};
+  return {
+    conservation_rate: typeof rule.conservation_rate === 'number' ? rule.conservation_rate : 0.05,
+    exempt: !!rule.exempt,
+    rounding: ROUNDING_MODES[rule.rounding] ? rule.rounding : 'round'
+  };
+}
+
+// 절약 레벨을 반영한 레시피 1회당 재료 개수
+function applyConservation(count, category, conservationLevel = 0) {
+  const rule = getCategoryRule(category);
+  if (rule.exempt || !conservationLevel) return count;
+  const reduced = count * Math.max(0, 1 - conservationLevel * rule.conservation_rate);
+  switch (rule.rounding) {
+    case 'floor': return Math.floor(reduced);
+    case 'ceil': return Math.ceil(reduced);
+    case 'min1': return Math.max(1, Math.round(reduced));
+    default: return Math.round(reduced);
   }
+}
+
+// 품목을 상점에서 살지 직접 만들지 결정합니다.
+// 상점 가격과 레시피가 모두 있으면 스태미나를 stamina_cost로 환산한 1개당 원가가 더 낮은 쪽을 고릅니다.
+// 이 비교에서는 중간재료 스태미나 미포함 설정과 관계없이 모든 제작 스태미나를 셉니다. (설정은 보고되는 합계에만 적용)
+function resolveItemSource(itemName, conservationLevel = 0, isRoot = true, visited = new Set()) {
+  return cachedDecision('source', itemName, conservationLevel, isRoot, visited,
+    () => decideItemSource(itemName, conservationLevel, isRoot, visited));
+}
+
+function decideItemSource(itemName, conservationLevel, isRoot, visited) {
+  const hasPrice = appData.materials && appData.materials[itemName] !== undefined;
+  const price = hasPrice ? appData.materials[itemName] : 0;
+  const found = findRecipe(itemName, conservationLevel, isRoot, visited);
 
-  // Check if it's a recipe
-  const found = findRecipe(itemName);
   if (!found) {
-    return { error: "item_not_found", itemName: itemName };
+    if (!hasPrice) return { error: "item_not_found", itemName: itemName };
+    if (price <= 0) return { error: "material_price_missing", materialName: itemName };
+    return { source: 'buy', price: price };
+  }
+  if (price <= 0) {
+    return { source: 'craft', found: found };
+  }
+  // 제작 경로가 순환하면 구매로 끊습니다.
+  if (visited.has(itemName)) {
+    return { source: 'buy', price: price };
+  }
+
+  const craftCost = getRecipeCost(found.recipe, new Set([...visited, itemName]), conservationLevel, isRoot, true);
+  if (typeof craftCost === 'object' && craftCost.error) {
+    return { source: 'buy', price: price };
+  }
+  return craftCost < price
+    ? { source: 'craft', found: found, alternativeCost: price }
+    : { source: 'buy', price: price, alternativeCost: craftCost };
+}
+
+function getTotalCostIncludingStamina(itemName, visited = new Set(), conservationLevel = 0, isRoot = true, countAllStamina = false) {
+  // 구매 또는 제작 결정 (상점 재료는 가격 그대로)
+  const source = resolveItemSource(itemName, conservationLevel, isRoot, visited);
+  if (source.error) {
+    return source;
+  }
+  if (source.source === 'buy') {
+    return source.price;
   }
-  const { recipe } = found;
 
   // Detect circular dependencies
   if (visited.has(itemName)) {
@@ -121,19 +256,20 @@ function getTotalCostIncludingStamina(itemName, visited = new Set(), conservatio
   }
   visited.add(itemName);
 
+  return getRecipeCost(source.found.recipe, visited, conservationLevel, isRoot, countAllStamina);
+}
+
+// 레시피 하나로 1개를 만들 때의 스태미나 포함 원가 (visited에는 이미 해당 품목이 들어 있어야 함)
+// countAllStamina: 중간재료 스태미나 미포함 설정을 무시하고 모든 스태미나를 셈 (구매/제작 결정용)
+function getRecipeCost(recipe, visited, conservationLevel = 0, isRoot = true, countAllStamina = false) {
   let cost = 0; // Initialize cost
 
   if (recipe.ingredients) {
-    // Conservation applies to specific final products, not general processed goods or '방직'
-    let reductionFactor = 1;
-    if (recipe.category !== '가공품' && recipe.category !== '방직') {
-      reductionFactor = (1 - (conservationLevel * 0.05));
-    }
     for (const [ingName, count] of Object.entries(recipe.ingredients)) {
-      const reducedCount = Math.round(count * reductionFactor);
+      const reducedCount = applyConservation(count, recipe.category, conservationLevel);
       // Create a new Set for the recursive call to avoid issues with parallel branches
       // Pass isRoot = false for ingredients
-      const ingCost = getTotalCostIncludingStamina(ingName, new Set(visited), conservationLevel, false); 
+      const ingCost = getTotalCostIncludingStamina(ingName, new Set(visited), conservationLevel, false, countAllStamina); 
       if (typeof ingCost === 'object' && ingCost.error) {
         return ingCost; // Propagate the error
       }
@@ -146,30 +282,26 @@ function getTotalCostIncludingStamina(itemName, visited = new Set(), conservatio
 
   // If "Ignore Intermediate Stamina" is ON, we ONLY count stamina for the ROOT item.
   // Ingredients (where isRoot is false) contribute 0 stamina cost to the total.
-  if (appData.settings.ignoreIntermediateStamina && !isRoot) {
+  if (appData.settings.ignoreIntermediateStamina && !isRoot && !countAllStamina) {
     localStamina = 0;
   }
 
   cost += localStamina * (appData.settings.stamina_cost || 0);
 
-  return cost;
+  // 한 번에 여러 개가 만들어지면 1개당 원가는 생산 개수로 나눕니다.
+  return cost / getRecipeYield(recipe);
 }
 
-function getMaterialCost(itemName, visited = new Set(), conservationLevel = 0) {
-  // Check if it's a material
-  if (appData.materials && appData.materials[itemName] !== undefined) {
-    if (appData.materials[itemName] <= 0) {
-      return { error: "material_price_missing", materialName: itemName };
-    }
-    return appData.materials[itemName];
+function getMaterialCost(itemName, visited = new Set(), conservationLevel = 0, isRoot = true) {
+  // 구매 또는 제작 결정 (스태미나 포함 원가 계산과 같은 결정과 대안 레시피를 사용)
+  const source = resolveItemSource(itemName, conservationLevel, isRoot, visited);
+  if (source.error) {
+    return source;
   }
-
-  // Check if it's a recipe
-  const found = findRecipe(itemName);
-  if (!found) {
-    return { error: "item_not_found", itemName: itemName };
+  if (source.source === 'buy') {
+    return source.price;
   }
-  const { recipe } = found;
+  const { recipe } = source.found;
 
   // Detect circular dependencies
   if (visited.has(itemName)) {
@@ -180,15 +312,10 @@ function getMaterialCost(itemName, visited = new Set(), conservationLevel = 0) {
   let cost = 0; // This is now material cost
 
   if (recipe.ingredients) {
-    // Conservation applies to specific final products, not general processed goods or '방직'
-    let reductionFactor = 1;
-    if (recipe.category !== '가공품' && recipe.category !== '방직') {
-      reductionFactor = (1 - (conservationLevel * 0.05));
-    }
     for (const [ingName, count] of Object.entries(recipe.ingredients)) {
-      const reducedCount = Math.round(count * reductionFactor);
+      const reducedCount = applyConservation(count, recipe.category, conservationLevel);
       // Recursive call to getMaterialCost
-      const ingCost = getMaterialCost(ingName, new Set(visited), conservationLevel); 
+      const ingCost = getMaterialCost(ingName, new Set(visited), conservationLevel, false); 
       if (typeof ingCost === 'object' && ingCost.error) {
         return ingCost;
       }
@@ -196,7 +323,7 @@ function getMaterialCost(itemName, visited = new Set(), conservationLevel = 0) {
     }
   }
   // No stamina cost addition here, as this function is purely for material cost
-  return cost;
+  return cost / getRecipeYield(recipe);
 }
 
 function getStamina(itemName, visited = new Set(), conservationLevel = 0, isRoot = true) {
@@ -204,12 +331,12 @@ function getStamina(itemName, visited = new Set(), conservationLevel = 0, isRoot
     return 0;
   }
   
-  const found = findRecipe(itemName);
-  if (!found) {
-    return 0; // It's a material or not found, no stamina cost
+  const source = resolveItemSource(itemName, conservationLevel, isRoot, visited);
+  if (source.error || source.source === 'buy') {
+    return 0; // It's bought or not found, no stamina cost
   }
   
-  const { recipe } = found;
+  const { recipe } = source.found;
   
   // If Ignore Intermediate Stamina is ON, and this is an ingredient (not root), return 0.
   if (appData.settings.ignoreIntermediateStamina && !isRoot) {
@@ -222,92 +349,551 @@ function getStamina(itemName, visited = new Set(), conservationLevel = 0, isRoot
   let totalStamina = currentItemStamina;
 
   if (recipe.ingredients) {
-    let reductionFactor = 1;
-    // Conservation applies to specific final products, not general processed goods or '방직'
-    if (recipe.category !== '가공품' && recipe.category !== '방직') {
-      reductionFactor = (1 - (conservationLevel * 0.05));
-    }
     for (const [ingName, count] of Object.entries(recipe.ingredients)) {
-      const reducedCount = Math.round(count * reductionFactor);
+      const reducedCount = applyConservation(count, recipe.category, conservationLevel);
       // Recursive call to getStamina, marking isRoot as false for ingredients
       totalStamina += getStamina(ingName, new Set(visited), conservationLevel, false) * reducedCount;
     }
   }
 
-  return totalStamina;
+  return totalStamina / getRecipeYield(recipe);
+}
+
+// 원가 구성 트리: getMaterialCost / getTotalCostIncludingStamina / getStamina와 같은 규칙으로 레시피를 순회하며
+// 노드마다 (품목 1개 기준) 개수, 코인, 스태미나, 스태미나 포함 원가를 기록합니다.
+function buildCostTree(itemName, count = 1, totalCount = 1, visited = new Set(), conservationLevel = 0, isRoot = true) {
+  const node = {
+    name: itemName,
+    count: count, // 상위 레시피 1회 제작에 필요한 개수 (절약 반영 후 반올림)
+    totalCount: totalCount, // 최종 품목 1개를 만들기 위해 필요한 총 개수
+    type: 'recipe',
+    coin: 0,
+    stamina: 0,
+    cost: 0,
+    staminaIgnored: false,
+    children: []
+  };
+
+  const source = resolveItemSource(itemName, conservationLevel, isRoot, visited);
+  if (source.error) {
+    node.type = source.error === "material_price_missing" ? 'material' : 'recipe';
+    node.error = source;
+    return node;
+  }
+  node.source = source.source;
+  node.alternativeCost = source.alternativeCost; // 구매/제작이 모두 가능할 때 고르지 않은 쪽의 1개당 원가
+
+  if (source.source === 'buy') {
+    node.type = 'material';
+    node.coin = source.price * totalCount;
+    node.cost = node.coin;
+    return node;
+  }
+
+  const { found } = source;
+  const { recipe } = found;
+  node.category = recipe.category;
+  node.variantIndex = found.variantIndex;
+  node.variantCount = found.variantCount;
+  node.yield = getRecipeYield(recipe);
+  node.crafts = totalCount / node.yield; // 필요한 제작 횟수 (1개 기준이므로 소수일 수 있음)
+
+  // Detect circular dependencies
+  if (visited.has(itemName)) {
+    node.error = { error: "circular_dependency", itemName: itemName };
+    return node;
+  }
+  visited.add(itemName);
+
+  if (recipe.ingredients) {
+    for (const [ingName, ingCount] of Object.entries(recipe.ingredients)) {
+      const reducedCount = applyConservation(ingCount, recipe.category, conservationLevel);
+      const child = buildCostTree(ingName, reducedCount, node.crafts * reducedCount, new Set(visited), conservationLevel, false);
+      node.children.push(child);
+      if (child.error && !node.error) node.error = child.error;
+      node.coin += child.coin;
+      node.stamina += child.stamina;
+    }
+  }
+
+  // "중간재료 스태미나 미포함"이 켜져 있으면 루트 품목만 스태미나를 계산합니다.
+  if (appData.settings.ignoreIntermediateStamina && !isRoot) {
+    node.staminaIgnored = true;
+    node.stamina = 0;
+  } else {
+    node.stamina += (recipe.stamina || 0) * node.crafts;
+  }
+
+  node.cost = node.coin + node.stamina * (appData.settings.stamina_cost || 0);
+  return node;
+}
+
+// 여러 주문(품목, 개수)을 레시피 그래프로 전개하여 상점 구매 재료와 제작 횟수를 집계합니다.
+// 상위 품목부터 위상 순서로 처리하므로 여러 슬롯이 공유하는 중간재료의 수요가 먼저 합쳐진 뒤 전개됩니다.
+// stock(보유 재고)이 주어지면 구매나 제작 전에 재고를 먼저 사용합니다.
+// craftOnly가 true이면 레시피가 있는 품목은 구매 가격과 관계없이 첫 번째 레시피로 직접 만듭니다.
+function buildBillOfMaterials(orders, conservationLevel = 0, stock = {}, craftOnly = false) {
+  const bom = {
+    materials: {}, crafts: {}, produced: {}, craftOrder: [], finals: {}, stockUsed: {}, errors: [],
+    craftStamina: {}, // 제작 1회당 실제 스태미나 (제작 시간/일정 계산용)
+    coin: 0, // 상점 구매 비용
+    stamina: 0, // 제작에 드는 스태미나 (중간재료 스태미나 미포함 설정 반영)
+    craftingStamina: 0, // 설정과 관계없이 실제로 소모되는 제작 스태미나 합계
+    stockValue: 0 // 사용한 재고의 상점 가격 기준 가치
+  };
+  const demand = {};
+  const order = []; // DFS 후위 순서 (재료가 먼저)
+  const state = {}; // 1: 방문 중, 2: 완료
+  const sources = {}; // 품목별 구매/제작 결정
+
+  const visit = (itemName) => {
+    if (state[itemName] === 2) return;
+    if (state[itemName] === 1) {
+      bom.errors.push({ error: "circular_dependency", itemName: itemName });
+      return;
+    }
+    state[itemName] = 1;
+    const variants = getRecipeVariants(itemName);
+    const source = craftOnly && variants.length > 0
+      ? { source: 'craft', found: { recipe: variants[0], variantIndex: 0, variantCount: variants.length } }
+      : withDecisionCache(() => resolveItemSource(itemName, conservationLevel, bom.finals[itemName] !== undefined));
+    sources[itemName] = source;
+    if (source.error) {
+      bom.errors.push(source);
+    } else if (source.source === 'craft' && source.found.recipe.ingredients) {
+      Object.keys(source.found.recipe.ingredients).forEach(visit);
+    }
+    state[itemName] = 2;
+    order.push(itemName);
+  };
+
+  orders.forEach(({ name, quantity }) => {
+    if (!name || !(quantity > 0)) return;
+    demand[name] = (demand[name] || 0) + quantity;
+    bom.finals[name] = (bom.finals[name] || 0) + quantity;
+    visit(name);
+  });
+
+  // 역순으로 처리하면 모든 소비처의 수요가 합쳐진 뒤에 재료로 전개됩니다.
+  order.reverse().forEach(itemName => {
+    let qty = demand[itemName] || 0;
+    const source = sources[itemName];
+    if (qty <= 0 || source.error) return;
+
+    const isFinal = bom.finals[itemName] !== undefined;
+    const owned = Math.min(stock[itemName] || 0, qty);
+    if (owned > 0) {
+      bom.stockUsed[itemName] = owned;
+      bom.stockValue += owned * (source.source === 'buy'
+        ? source.price
+        : withDecisionCache(() => getMaterialCost(itemName, new Set(), conservationLevel, isFinal)));
+      qty -= owned;
+      if (qty <= 0) return;
+    }
+
+    if (source.source === 'buy') {
+      bom.materials[itemName] = qty;
+      bom.coin += qty * source.price;
+      return;
+    }
+    const { recipe } = source.found;
+
+    // 여러 개가 생산되는 레시피는 합쳐진 수요를 한 번에 나눠 제작 횟수를 구합니다.
+    const crafts = Math.ceil(qty / getRecipeYield(recipe));
+    bom.crafts[itemName] = crafts;
+    bom.produced[itemName] = crafts * getRecipeYield(recipe);
+    bom.craftOrder.unshift(itemName); // 재료가 먼저 오도록 제작 순서를 구성
+    bom.craftStamina[itemName] = recipe.stamina || 0;
+    bom.craftingStamina += crafts * bom.craftStamina[itemName];
+    if (!(appData.settings.ignoreIntermediateStamina && !isFinal)) {
+      bom.stamina += crafts * bom.craftStamina[itemName];
+    }
+    if (recipe.ingredients) {
+      for (const [ingName, count] of Object.entries(recipe.ingredients)) {
+        const reducedCount = applyConservation(count, recipe.category, conservationLevel);
+        demand[ingName] = (demand[ingName] || 0) + crafts * reducedCount;
+      }
+    }
+  });
+
+  return bom;
+}
+
+// 시간당 회복하는 스태미나 (자연 회복 + 하루 동안 워라밸 제작으로 얻는 스태미나를 시간당으로 환산)
+// player: { maxStamina, regenPerHour, wlbPerDay }
+function getStaminaHourlyRate(player) {
+  return (player.regenPerHour || 0) + (player.wlbPerDay || 0) / 24;
+}
+
+// 스태미나를 모으는 데 걸리는 실제 시간. 회복량을 모르면 null
+function getStaminaTime(stamina, player) {
+  const rate = getStaminaHourlyRate(player);
+  if (!(rate > 0)) return null;
+  const hours = stamina / rate;
+  return {
+    hours: hours,
+    days: hours / 24,
+    refills: player.maxStamina > 0 ? Math.ceil(stamina / player.maxStamina) : null // 가득 찬 스태미나 몇 번 분량인지
+  };
+}
+
+// 제작 목록(bom.craftOrder, 재료가 먼저)을 스태미나가 가득 찰 때마다 나눠 날짜별 제작 일정으로 만듭니다.
+// 처음에는 스태미나가 가득 찬 상태로 시작하고, n번째 충전은 최대 스태미나만큼 다시 회복되는 시점에 사용합니다.
+function buildCraftSchedule(bom, player) {
+  const rate = getStaminaHourlyRate(player);
+  const maxStamina = player.maxStamina || 0;
+  if (!(rate > 0) || !(maxStamina > 0)) return { error: "player_settings_missing" };
+
+  const refills = [];
+  const oversized = []; // 한 번 제작에 최대 스태미나보다 많이 드는 품목
+  let current = null;
+  const nextRefill = () => {
+    const index = refills.length;
+    current = { refill: index + 1, day: Math.floor(index * maxStamina / rate / 24) + 1, stamina: 0, crafts: [] };
+    refills.push(current);
+  };
+  const addCrafts = (name, count, stamina) => {
+    const last = current.crafts[current.crafts.length - 1];
+    if (last && last.name === name) last.count += count;
+    else current.crafts.push({ name: name, count: count });
+    current.stamina += count * stamina;
+  };
+
+  nextRefill();
+  bom.craftOrder.forEach(name => {
+    let remaining = bom.crafts[name];
+    const perCraft = bom.craftStamina[name] || 0;
+    if (perCraft === 0) {
+      addCrafts(name, remaining, 0);
+      return;
+    }
+    if (perCraft > maxStamina) oversized.push(name);
+    while (remaining > 0) {
+      // 최대 스태미나보다 비싼 제작도 충전 한 번에 1회씩은 배치합니다.
+      let count = Math.min(remaining, Math.floor((maxStamina - current.stamina) / perCraft));
+      if (count <= 0 && current.stamina === 0) count = 1;
+      if (count <= 0) {
+        nextRefill();
+        continue;
+      }
+      addCrafts(name, count, perCraft);
+      remaining -= count;
+    }
+  });
+
+  const days = [];
+  refills.filter(refill => refill.crafts.length > 0).forEach(refill => {
+    let day = days[days.length - 1];
+    if (!day || day.day !== refill.day) {
+      day = { day: refill.day, stamina: 0, refills: [] };
+      days.push(day);
+    }
+    day.stamina += refill.stamina;
+    day.refills.push(refill);
+  });
+  return { days: days, totalStamina: bom.craftingStamina, oversized: oversized };
+}
+
+// 스태미나 가치 기준 레시피 (data.json의 settings.stamina_reference, 없으면 매듭끈)
+function getStaminaReference() {
+  const ref = appData.settings && appData.settings.stamina_reference;
+  return ref && getRecipeVariants(ref).length > 0 ? ref : '매듭끈';
+}
+
+// 기준 레시피 1개를 재료부터 모두 직접 만들 때의 상점 구매 비용, 총 제작 횟수, 소모 스태미나
+function getStaminaChain(itemName, conservationLevel = 0) {
+  if (getRecipeVariants(itemName).length === 0) {
+    return { error: "item_not_found", itemName: itemName };
+  }
+  const bom = buildBillOfMaterials([{ name: itemName, quantity: 1 }], conservationLevel, {}, true);
+  if (bom.errors.length > 0) return bom.errors[0];
+
+  let craftCount = 0;
+  let stamina = 0;
+  bom.craftOrder.forEach(name => {
+    craftCount += bom.crafts[name];
+    stamina += bom.crafts[name] * (getRecipeVariants(name)[0].stamina || 0);
+  });
+  return {
+    itemName: itemName,
+    materials: bom.materials,
+    baseCost: bom.coin,
+    craftCount: craftCount,
+    stamina: stamina
+  };
 }
 
-// 워라밸 레벨에 따른 스태미나 가치 계산 (매듭끈 체인 기준)
-function calculateStaminaCost(wlbLevel) {
-  if (wlbLevel <= 1) { // 순수 스태미나 이득이 없거나 음수인 경우
-    return 99999; // 매우 비효율적임을 나타내는 큰 값
+// 워라밸 레벨에 따른 스태미나 가치 계산
+// 제작 1회마다 워라밸 레벨만큼 스태미나가 돌아오므로, 순 이득 = 제작 횟수 × 워라밸 - 소모 스태미나
+// (기본 매듭끈 체인: 재료 1000코인 / 13회 제작 / 13 소모 → 1000 / (13 × (워라밸 - 1)))
+function calculateStaminaCost(wlbLevel, referenceItem = getStaminaReference()) {
+  const chain = getStaminaChain(referenceItem, getConservationLevel());
+  if (chain.error) {
+    return 99999; // 계산할 수 없으면 매우 비효율적임을 나타내는 큰 값
   }
-  const totalBaseMaterialCost = 1000; // 25양모(500) + 25누에실(500)
-  const totalCraftActions = 13;
-  const netStaminaGainPerCraft = (wlbLevel - 1);
-  const totalNetStaminaGain = totalCraftActions * netStaminaGainPerCraft;
+  const totalNetStaminaGain = chain.craftCount * wlbLevel - chain.stamina;
 
-  if (totalNetStaminaGain <= 0) { // 혹시 모를 분모 0 또는 음수 방지
+  if (totalNetStaminaGain <= 0) { // 순수 스태미나 이득이 없거나 음수인 경우
       return 99999;
   }
-  return (totalBaseMaterialCost / totalNetStaminaGain).toFixed(2); // 소수점 둘째자리까지 반환
+  return (chain.baseCost / totalNetStaminaGain).toFixed(2); // 소수점 둘째자리까지 반환
 }
 
-function getReqCount(deliveryNumber) {
-  if (deliveryNumber <= 1) return 1;
-  if (deliveryNumber === 2) return 2;
-  if (deliveryNumber >= 3 && deliveryNumber <= 10) return 3;
-  if (deliveryNumber >= 11 && deliveryNumber <= 20) return 5;
-  return 10; // 21회차 이상
+// 설정 영역 아래에 스태미나 가치의 계산 과정을 표시합니다.
+// 스태미나 가치를 워라밸 레벨에서 자동으로 계산하는 중이면 그 레벨을, 직접 입력한 값이면 null을 돌려줍니다.
+function getAutomaticWlbLevel() {
+  const wlbInput = document.getElementById('wlbLevel');
+  if (!wlbInput || wlbInput.value === 'custom') return null;
+  const wlbLevel = parseInt(wlbInput.value, 10);
+  return isNaN(wlbLevel) ? null : wlbLevel;
 }
 
-function calcEfficiency(itemName, reward, deliveryMode = 'default') {
-  const conservationLevel = (appData.settings && appData.settings.conservation_level !== undefined) ? appData.settings.conservation_level : 10;
-  const materialCostResult = getMaterialCost(itemName, new Set(), conservationLevel);
-  if (typeof materialCostResult === 'object' && materialCostResult.error) {
-    return materialCostResult;
+function renderStaminaDerivation() {
+  const el = document.getElementById('stamina-derivation');
+  if (!el) return;
+  const wlbLevel = getAutomaticWlbLevel();
+  if (wlbLevel === null) {
+    el.textContent = `직접 입력한 스태미나 가치 ${appData.settings.stamina_cost}코인을 사용합니다.`;
+    return;
   }
-  const consumedCoin = materialCostResult;
-  const unitCostResult = getTotalCostIncludingStamina(itemName, new Set(), conservationLevel);
-  
-  if (typeof unitCostResult === 'object' && unitCostResult.error) {
-    return unitCostResult;
+
+  const referenceItem = getStaminaReference();
+  const chain = getStaminaChain(referenceItem, getConservationLevel());
+  if (chain.error) {
+    el.textContent = `${referenceItem} 체인을 계산할 수 없습니다. (${chain.error}: ${chain.itemName || chain.materialName})`;
+    return;
   }
-  const unitCost = unitCostResult;
-  // calcEfficiency calls getStamina for the target item, so isRoot uses default (true)
-  const unitStamina = getStamina(itemName, new Set(), conservationLevel);
+  const materialsStr = Object.entries(chain.materials).map(([name, qty]) => `${name} ${qty}`).join(', ');
+  const netGain = chain.craftCount * wlbLevel - chain.stamina;
+  const result = netGain > 0 ? `${(chain.baseCost / netGain).toFixed(2)}코인` : '이득 없음 (99999)';
+  el.innerHTML = `
+    <b>${referenceItem}</b> 기준: 재료 구매 ${chain.baseCost.toLocaleString()}코인 (${materialsStr})
+    ÷ 순 스태미나 이득 ${netGain} (제작 ${chain.craftCount}회 × 워라밸 ${wlbLevel} - 소모 ${chain.stamina})
+    = <b>${result}</b>
+  `;
+}
 
+// 기본 납품 단계표 (data.json의 settings.delivery_tiers가 없을 때 사용)
+// tiers: from 회차부터 다음 단계 전까지 1회 납품에 필요한 개수 / milestones: 공식 납품 횟수 단계
+const DEFAULT_DELIVERY_TIERS = {
+  tiers: [
+    { from: 1, count: 1 },
+    { from: 2, count: 2 },
+    { from: 3, count: 3 },
+    { from: 11, count: 5 },
+    { from: 21, count: 10 }
+  ],
+  milestones: [1, 2, 10, 20, 25],
+  max_rounds: 50
+};
 
-  if (unitCost === 0) return { error: "generic_cost_error" };
+function getDeliveryTiers() {
+  const custom = appData.settings && appData.settings.delivery_tiers;
+  if (custom && Array.isArray(custom.tiers) && custom.tiers.length > 0) {
+    return {
+      tiers: custom.tiers,
+      milestones: Array.isArray(custom.milestones) && custom.milestones.length > 0 ? custom.milestones : DEFAULT_DELIVERY_TIERS.milestones,
+      max_rounds: custom.max_rounds > 0 ? custom.max_rounds : DEFAULT_DELIVERY_TIERS.max_rounds
+    };
+  }
+  return DEFAULT_DELIVERY_TIERS;
+}
 
-  if (deliveryMode === 'default') {
-    // 1. 마지노선 효율을 넘는 최대 납품 횟수(maxDeliveries)를 찾습니다.
-    let maxDeliveries = 0;
-    let keepChecking = true;
-    let totalItemsForAvg = 0;
-    while (keepChecking && maxDeliveries < 50) {
-      const currentDeliveryNum = maxDeliveries + 1;
-      
-      totalItemsForAvg += getReqCount(currentDeliveryNum);
+// 공식 납품 횟수 단계 (높은 단계부터, 최대 회차 이내)
+function getDeliveryMilestones() {
+  const { milestones, max_rounds } = getDeliveryTiers();
+  return milestones.filter(m => m > 0 && m <= max_rounds).sort((a, b) => b - a);
+}
 
-      const totalCostForAvg = unitCost * totalItemsForAvg;
-      const totalProfitForAvg = reward * currentDeliveryNum;
+function getReqCount(deliveryNumber) {
+  const tiers = [...getDeliveryTiers().tiers].sort((a, b) => a.from - b.from);
+  let count = tiers[0].count; // 첫 단계 이전 회차는 첫 단계 개수로 계산
+  tiers.forEach(tier => {
+    if (deliveryNumber >= tier.from) count = tier.count;
+  });
+  return count;
+}
 
-      const averageEfficiency = totalCostForAvg > 0 ? totalProfitForAvg / totalCostForAvg : 0;
+// 1회차부터 rounds회차까지 필요한 아이템 개수의 합 (delivered회차까지 이미 납품했다면 그 이후만)
+function getTotalReqCount(rounds, delivered = 0) {
+  let total = 0;
+  for (let i = delivered + 1; i <= rounds; i++) {
+    total += getReqCount(i);
+  }
+  return total;
+}
 
-      if (averageEfficiency >= appData.settings.efficiency_limit) {
-        maxDeliveries++;
-      } else {
-        keepChecking = false;
-      }
+// 품목 1개당 소모 코인, 스태미나 포함 원가, 스태미나를 계산합니다.
+function getUnitCosts(itemName, conservationLevel) {
+  return withDecisionCache(() => {
+    const materialCostResult = getMaterialCost(itemName, new Set(), conservationLevel);
+    if (typeof materialCostResult === 'object' && materialCostResult.error) {
+      return materialCostResult;
+    }
+    const unitCostResult = getTotalCostIncludingStamina(itemName, new Set(), conservationLevel);
+    if (typeof unitCostResult === 'object' && unitCostResult.error) {
+      return unitCostResult;
     }
+    if (unitCostResult === 0) return { error: "generic_cost_error" };
+
+    return {
+      consumedCoin: materialCostResult,
+      unitCost: unitCostResult,
+      // The target item is the root, so isRoot uses default (true)
+      unitStamina: getStamina(itemName, new Set(), conservationLevel)
+    };
+  });
+}
+
+function getConservationLevel() {
+  return (appData.settings && appData.settings.conservation_level !== undefined) ? appData.settings.conservation_level : 10;
+}
+
+// 품목 하나를 공식 납품 단계별로 납품했을 때의 비용과 수입 목록
+// delivered회차까지 이미 납품했다면 남은 단계와 남은 비용/수입만 계산합니다.
+// 스태미나 예산은 실제로 소모되는 양과 비교해야 하므로, 중간재료 스태미나 미포함 설정과 관계없이
+// 재료 명세서의 실제 제작 스태미나(중간재료 포함)를 씁니다.
+function getMilestoneOptions(itemName, reward, delivered = 0) {
+  const conservationLevel = getConservationLevel();
+  const unitCosts = getUnitCosts(itemName, conservationLevel);
+  if (unitCosts.error) return unitCosts;
+
+  return getDeliveryMilestones().filter(round => round > delivered).map(round => {
+    const items = getTotalReqCount(round, delivered);
+    const bom = buildBillOfMaterials([{ name: itemName, quantity: items }], conservationLevel);
+    return {
+      round: round,
+      items: items,
+      coin: unitCosts.consumedCoin * items,
+      stamina: bom.craftingStamina,
+      profit: reward * (round - delivered)
+    };
+  });
+}
+
+// 스태미나/코인 예산 안에서 총 냥코인이 최대가 되도록 슬롯마다 납품 단계(또는 건너뛰기)를 고릅니다.
+// entries: [{ slot, options }] / 예산이 없으면 Infinity
+function optimizeBoard(entries, staminaBudget = Infinity, coinBudget = Infinity) {
+  const staminaCost = parseFloat(appData.settings.stamina_cost) || 0;
+  let states = [{ coin: 0, stamina: 0, profit: 0, picks: [] }];
+
+  entries.forEach(entry => {
+    const next = [];
+    states.forEach(state => {
+      [null, ...entry.options].forEach(option => {
+        const coin = state.coin + (option ? option.coin : 0);
+        const stamina = state.stamina + (option ? option.stamina : 0);
+        if (coin > coinBudget || stamina > staminaBudget) return;
+        next.push({
+          coin: coin,
+          stamina: stamina,
+          profit: state.profit + (option ? option.profit : 0),
+          picks: [...state.picks, option]
+        });
+      });
+    });
+
+    // 수입이 같거나 적으면서 코인과 스태미나를 모두 더 쓰는 조합은 버립니다.
+    next.sort((a, b) => b.profit - a.profit || a.coin - b.coin || a.stamina - b.stamina);
+    states = [];
+    next.forEach(candidate => {
+      if (!states.some(s => s.coin <= candidate.coin && s.stamina <= candidate.stamina)) {
+        states.push(candidate);
+      }
+    });
+  });
+
+  // 수입이 같다면 스태미나까지 포함한 총비용이 적은 조합을 고릅니다.
+  const value = (s) => s.coin + s.stamina * staminaCost;
+  const best = states.reduce((a, b) => (b.profit > a.profit || (b.profit === a.profit && value(b) < value(a))) ? b : a);
+
+  const plan = {};
+  entries.forEach((entry, i) => { plan[entry.slot] = best.picks[i]; });
+  return { plan: plan, coin: best.coin, stamina: best.stamina, profit: best.profit };
+}
+
+// 회차별 필요 개수, 그 회차만의 효율(marginal), 누적 평균 효율
+// delivered회차까지 이미 납품했다면 다음 회차부터 최대 회차까지를 새로 누적합니다.
+function getRoundEfficiencies(unitCost, reward, delivered = 0) {
+  const rounds = [];
+  let totalItems = 0;
+  for (let round = delivered + 1; round <= getDeliveryTiers().max_rounds; round++) {
+    const reqCount = getReqCount(round);
+    totalItems += reqCount;
+    const roundCost = unitCost * reqCount;
+    const totalCost = unitCost * totalItems;
+    rounds.push({
+      round: round,
+      reqCount: reqCount,
+      totalItems: totalItems,
+      marginalEfficiency: roundCost > 0 ? reward / roundCost : 0,
+      averageEfficiency: totalCost > 0 ? (reward * (round - delivered)) / totalCost : 0
+    });
+  }
+  return rounds;
+}
+
+// 역산: 공식 납품 단계마다 마지노선 효율을 달성하는 최소 보상 냥코인
+// calcEfficiency의 추천 방식과 같이 다음 회차부터 그 단계까지 모든 회차의 누적 평균 효율이 마지노선 이상이어야 합니다.
+function getMinimumRewards(itemName, delivered = 0, efficiencyLimit = appData.settings.efficiency_limit) {
+  const unitCosts = getUnitCosts(itemName, getConservationLevel());
+  if (unitCosts.error) {
+    return unitCosts;
+  }
+  const { unitCost } = unitCosts;
+  const milestones = [...getDeliveryMilestones()].reverse().filter(round => round > delivered);
+  const lastRound = milestones.length > 0 ? milestones[milestones.length - 1] : 0;
+
+  const requiredByRound = {};
+  let required = 0;
+  let totalItems = 0;
+  for (let round = delivered + 1; round <= lastRound; round++) {
+    totalItems += getReqCount(round);
+    required = Math.max(required, (efficiencyLimit || 0) * unitCost * totalItems / (round - delivered));
+    requiredByRound[round] = required;
+  }
+
+  return {
+    itemName: itemName,
+    unitCost: unitCost,
+    milestones: milestones.map(round => ({
+      round: round,
+      totalItems: getTotalReqCount(round, delivered),
+      minReward: Math.ceil(requiredByRound[round] - 1e-9) // 부동소수점 오차로 1냥 올라가는 것 방지
+    }))
+  };
+}
+
+// delivered: 이미 납품한 회차 수. 남은 회차의 필요 개수, 비용, 수입만으로 계산하고
+// 이미 지난 단계는 추천하지 않습니다. (round는 누적 회차 기준)
+function calcEfficiency(itemName, reward, deliveryMode = 'default', delivered = 0) {
+  const conservationLevel = getConservationLevel();
+  const unitCosts = getUnitCosts(itemName, conservationLevel);
+  if (unitCosts.error) {
+    return unitCosts;
+  }
+  const { consumedCoin, unitCost, unitStamina } = unitCosts;
+  const breakdown = withDecisionCache(() => buildCostTree(itemName, 1, 1, new Set(), conservationLevel));
+  const rounds = getRoundEfficiencies(unitCost, reward, delivered);
+
+  if (deliveryMode === 'default') {
+    // 1. 마지노선 효율을 넘는 최대 납품 횟수(maxDeliveries)를 찾습니다.
+    let newDeliveries = rounds.findIndex(r => !(r.averageEfficiency >= appData.settings.efficiency_limit));
+    if (newDeliveries === -1) newDeliveries = rounds.length;
+    const maxDeliveries = delivered + newDeliveries;
+
 
+    // 2. 공식 납품 횟수 단계 중 아직 지나지 않았고 달성 가능한 가장 높은 단계를 찾습니다.
+    const bestMilestone = getDeliveryMilestones().find(m => m <= maxDeliveries && m > delivered);
 
-    if (maxDeliveries === 0) {
-      const req = getReqCount(1);
+    if (newDeliveries === 0 || !bestMilestone) {
+      const req = getReqCount(delivered + 1);
       const eff = reward / (unitCost * req);
       return { 
         mode: deliveryMode,
+        itemName: itemName,
+        reward: reward,
+        delivered: delivered,
         recommend: false, 
         msg: "납품 비추천 (효율 낮음)", 
         averageEfficiency: eff.toFixed(3), 
@@ -316,30 +902,25 @@ function calcEfficiency(itemName, reward, deliveryMode = 'default') {
         totalCost: (unitCost * req).toFixed(0),
         totalStamina: (unitStamina * req).toFixed(0),
         totalItems: req, // Add totalItems for consistency
-        totalProfit: (reward * req) // Add totalProfit for consistency
+        totalProfit: (reward * req), // Add totalProfit for consistency
+        breakdown: breakdown,
+        rounds: rounds
       };
     }
-    
-    // 2. 공식 납품 횟수 단계 중 달성 가능한 가장 높은 단계를 찾습니다.
-    const milestones = [25, 20, 10, 2, 1];
-    const bestMilestone = milestones.find(m => m <= maxDeliveries);
 
     // 3. 찾은 단계(bestMilestone)에 맞춰 필요 아이템, 비용 등을 다시 계산합니다.
-    let finalTotalItems = 0;
-    let lastReq = 0;
-    for (let i = 1; i <= bestMilestone; i++) {
-      const req = getReqCount(i);
-      finalTotalItems += req;
-      lastReq = req;
-    }
+    const finalTotalItems = getTotalReqCount(bestMilestone, delivered);
 
-    const totalProfit = reward * bestMilestone;
+    const totalProfit = reward * (bestMilestone - delivered);
     const totalCost = unitCost * finalTotalItems;
     const averageEfficiency = totalCost > 0 ? (totalProfit / totalCost) : 0;
     
 
     return {
       mode: 'default',
+      itemName: itemName,
+      reward: reward,
+      delivered: delivered,
       recommend: true,
       round: bestMilestone,
       totalItems: finalTotalItems,
@@ -348,34 +929,32 @@ function calcEfficiency(itemName, reward, deliveryMode = 'default') {
       unitCost: unitCost.toFixed(1),
       consumedCoin: (consumedCoin * finalTotalItems).toFixed(1),
       totalCost: totalCost.toFixed(0),
-      totalStamina: (unitStamina * finalTotalItems).toFixed(0)
+      totalStamina: (unitStamina * finalTotalItems).toFixed(0),
+      breakdown: breakdown,
+      rounds: rounds
     };
 
   } else { // '1회', '2회' 등 특정 횟수 시뮬레이션 모드
-    const deliveryMap = { '1': 1, '2': 2, '3': 10, '5': 20, '10': 25 };
-    const maxDeliveries = deliveryMap[deliveryMode];
+    const maxDeliveries = parseInt(deliveryMode, 10);
     
-    let currentTotal = 0;
-    let lastReq = 0;
-
-    if (maxDeliveries) {
-      for (let i = 1; i <= maxDeliveries; i++) {
-        const req = getReqCount(i);
-        currentTotal += req;
-        lastReq = req;
-      }
-    }
+    const currentTotal = maxDeliveries ? getTotalReqCount(maxDeliveries, delivered) : 0;
     
-    if (maxDeliveries === 0) { // 혹시 모를 에러 방지
+    if (!(maxDeliveries > 0)) { // 혹시 모를 에러 방지
         return { recommend: false, msg: "계산 오류" };
     }
+    if (maxDeliveries <= delivered) {
+      return { error: "milestone_already_reached", itemName: itemName, round: maxDeliveries, delivered: delivered };
+    }
 
-    const totalProfit = reward * maxDeliveries;
+    const totalProfit = reward * (maxDeliveries - delivered);
     const totalCost = unitCost * currentTotal;
     const averageEfficiency = totalCost > 0 ? (totalProfit / totalCost) : 0;
 
     return {
       mode: deliveryMode,
+      itemName: itemName,
+      reward: reward,
+      delivered: delivered,
       recommend: true,
       round: maxDeliveries,
       totalItems: currentTotal,
@@ -384,7 +963,9 @@ function calcEfficiency(itemName, reward, deliveryMode = 'default') {
       unitCost: unitCost.toFixed(1),
       consumedCoin: (consumedCoin * currentTotal).toFixed(1), // Add consumedCoin here
       totalCost: totalCost.toFixed(0),
-      totalStamina: (unitStamina * currentTotal).toFixed(0)
+      totalStamina: (unitStamina * currentTotal).toFixed(0),
+      breakdown: breakdown,
+      rounds: rounds
     };
   }
 }
@@ -393,95 +974,521 @@ function calcEfficiency(itemName, reward, deliveryMode = 'default') {
 // --- 3. 계산기 페이지 로직 ---
 
 let slotResults = {}; // 슬롯별 계산 결과를 저장하는 전역 객체
+let inventory = { items: {}, valuation: 'zero' }; // 보유 재고 (valuation: 'zero' | 'shop')
+let player = { maxStamina: 0, regenPerHour: 0, wlbPerDay: 0 }; // 스태미나 회복 설정 (0이면 미입력)
+let nextSlotId = 1; // 슬롯 id는 삭제해도 재사용하지 않음 (입력란 id가 겹치지 않도록)
+const DEFAULT_SLOT_COUNT = 8;
+const MAX_SLOT_COUNT = 50; // 공유 링크나 저장된 보드의 슬롯 수 상한
+let updateSettingsFromInputs = null; // initCalculator에서 설정 입력 처리 함수로 지정됨
+let boardAutosaveReady = false; // 자동 저장된 보드를 복원하기 전에는 덮어쓰지 않음
+
+// 로컬 data.json을 불러오면 initCalculator가 다시 실행되므로, 이벤트는 요소마다 처음 한 번만 등록합니다.
+function markListenerAdded(el) {
+  if (!el || el.dataset.listenerAdded) return false;
+  el.dataset.listenerAdded = 'true';
+  return true;
+}
+
+// 공유 링크나 저장된 보드에서 온 이름은 HTML로 해석되지 않도록 innerHTML에 넣기 전에 바꿉니다.
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// --- 슬롯 관리 ---
+// 화면에 보이는 순서대로의 슬롯 id 목록
+function getSlotIds() {
+  return [...document.querySelectorAll('#grid-container .slot-card')].map(card => Number(card.dataset.slot));
+}
+
+function addSlot() {
+  const idx = nextSlotId++;
+  document.getElementById('grid-container').appendChild(createSlot(idx));
+  renumberSlots();
+  return idx;
+}
+
+function removeSlotCard(idx) {
+  const card = document.querySelector(`#grid-container .slot-card[data-slot="${idx}"]`);
+  if (card) card.remove();
+  delete slotResults[idx];
+}
+
+function removeSlot(idx) {
+  if (getSlotIds().length <= 1) return; // 슬롯은 최소 1개 유지
+  removeSlotCard(idx);
+  renumberSlots();
+  updateTotalSummary();
+}
+
+// 슬롯 개수를 맞춥니다. 줄일 때는 뒤쪽 슬롯부터 지웁니다.
+function setSlotCount(count) {
+  count = Math.min(count, MAX_SLOT_COUNT);
+  const ids = getSlotIds();
+  for (let i = ids.length; i < count; i++) addSlot();
+  ids.slice(Math.max(count, 1)).forEach(removeSlotCard);
+  renumberSlots();
+}
+
+// 슬롯에 입력한 "이미 납품한 회차" (비어 있거나 잘못된 값은 0)
+function getSlotDelivered(idx) {
+  const deliveredInput = document.getElementById(`delivered-${idx}`);
+  const value = deliveredInput ? parseInt(deliveredInput.value, 10) : 0;
+  return value > 0 ? Math.min(value, getDeliveryTiers().max_rounds) : 0;
+}
+
+// 이미 지난 단계는 계산 방식 목록에서 새로 고를 수 없게 합니다.
+// 이미 선택된 단계는 그대로 두어 계산 결과에서 "이미 지난 단계" 안내를 보여줍니다.
+function updateSlotModeOptions(idx) {
+  const modeSelect = document.getElementById(`mode-${idx}`);
+  if (!modeSelect) return;
+  const delivered = getSlotDelivered(idx);
+  [...modeSelect.options].forEach(option => {
+    option.disabled = option.value !== 'default' && parseInt(option.value, 10) <= delivered;
+  });
+}
+
+// 슬롯 제목은 id가 아니라 화면 순서대로 번호를 붙입니다.
+function renumberSlots() {
+  document.querySelectorAll('#grid-container .slot-card').forEach((card, i) => {
+    card.querySelector('.slot-label').textContent = `품목 ${i + 1}`;
+  });
+}
 
 function updateClipboardTextarea() {
   const clipboardDataEl = document.getElementById('clipboard-data');
   if (!clipboardDataEl) return;
 
   const data = [];
-  for (let i = 1; i <= 8; i++) {
+  getSlotIds().forEach(i => {
     const nameInput = document.getElementById(`name-${i}`);
     const rewardInput = document.getElementById(`reward-${i}`);
+    const modeSelect = document.getElementById(`mode-${i}`);
     if (nameInput && rewardInput) {
       const name = nameInput.value.trim();
       const reward = rewardInput.value.trim();
+      const mode = modeSelect && modeSelect.value !== 'default' ? ` ${modeSelect.value}회` : '';
       if (name && reward) {
-        data.push(`${name} ${reward}`);
+        data.push(`${name} ${reward}${mode}`);
       }
     }
-  }
+  });
   clipboardDataEl.value = data.join(', ');
 }
 
-function updateTotalSummary() {
+// 슬롯 결과를 합산한 보드 전체 코인, 스태미나, 수입과 최종 교환비
+function getBoardTotals(results = slotResults) {
   let totalCoin = 0;
   let totalStamina = 0;
   let totalNyan = 0;
 
-  for (let i = 1; i <= 8; i++) {
-    const res = slotResults[i];
+  Object.values(results).forEach(res => {
     // 유효하고, 추천된 결과만 집계
     if (res && res.recommend) {
       totalCoin += parseFloat(res.consumedCoin) || 0; // Use consumedCoin for totalCoin
       totalStamina += parseFloat(res.totalStamina) || 0;
       totalNyan += parseFloat(res.totalProfit) || 0;
     }
+  });
+
+  // 보유 재고가 있으면 재고를 먼저 사용한 뒤 남은 구매/제작 비용으로 집계합니다.
+  const bom = buildBoardBillOfMaterials(results);
+  if (hasInventory()) {
+    totalCoin = bom.coin + (inventory.valuation === 'shop' ? bom.stockValue : 0);
+    totalStamina = bom.stamina;
   }
 
   const staminaValue = totalStamina * (appData.settings.stamina_cost || 0);
   const totalValue = totalCoin + staminaValue;
-  const finalRatio = totalValue > 0 ? (totalNyan / totalValue).toFixed(3) : 0;
+  return {
+    coin: totalCoin,
+    stamina: totalStamina,
+    nyan: totalNyan,
+    ratio: totalValue > 0 ? totalNyan / totalValue : null, // 비용이 없으면 계산하지 않음
+    bom: bom
+  };
+}
+
+function updateTotalSummary() {
+  const totals = getBoardTotals();
+  const totalCoin = totals.coin;
+  const totalStamina = totals.stamina;
+  const totalNyan = totals.nyan;
+  const boardBom = totals.bom;
+  const finalRatio = totals.ratio !== null ? totals.ratio.toFixed(3) : 0;
 
   // Check if elements exist before setting textContent to avoid errors
   const elCoin = document.getElementById('total-coin-cost');
   const elStamina = document.getElementById('total-stamina-cost');
   const elNyan = document.getElementById('total-nyan-gain');
   const elRatio = document.getElementById('final-exchange-ratio');
+  const elMissing = document.getElementById('total-missing');
 
   if (elCoin) elCoin.textContent = totalCoin.toLocaleString();
   if (elStamina) elStamina.textContent = totalStamina.toLocaleString();
   if (elNyan) elNyan.textContent = totalNyan.toLocaleString();
   if (elRatio) elRatio.textContent = finalRatio;
+  if (elMissing) elMissing.textContent = `${Object.keys(boardBom.materials).length}종 · ${boardBom.coin.toLocaleString()}코인`;
 
+  autosaveBoard(); // 현재 보드와 설정을 자동 저장
+  updateOptimizer(); // 최적화 모드가 켜져 있으면 계획도 다시 계산
+  updateBillOfMaterials(boardBom); // 구매/제작 목록도 함께 갱신
+  updateStaminaPlan(boardBom); // 제작 목록을 스태미나 충전 단위로 나눈 일정
   updateClipboardTextarea(); // Keep clipboard textarea in sync
 }
 
-function recalculateAllSlots() {
-  for (let i = 1; i <= 8; i++) {
-    const nameInput = document.getElementById(`name-${i}`);
-    const rewardInput = document.getElementById(`reward-${i}`);
-    const modeSelect = document.getElementById(`mode-${i}`);
-    const resBox = document.getElementById(`result-${i}`);
+// 예산 최적화 모드: 슬롯별 납품 단계를 예산 안에서 다시 고르고 각 슬롯 아래에 표시합니다.
+function updateOptimizer() {
+  const toggle = document.getElementById('optimizerEnabled');
+  const resultEl = document.getElementById('optimizer-result');
+  if (!toggle || !resultEl) return;
 
-    if (nameInput && rewardInput && resBox && modeSelect) {
-      const name = nameInput.value.trim();
-      const reward = parseFloat(rewardInput.value);
-      const mode = modeSelect.value;
-      const recipeInfo = findRecipe(name);
+  const notes = document.querySelectorAll('.optimizer-note');
+  notes.forEach(note => { note.innerHTML = ''; });
+  resultEl.innerHTML = '';
+  if (!toggle.checked) return;
 
-      if (name && !isNaN(reward) && reward > 0) {
-        const res = calcEfficiency(name, reward, mode);
-        slotResults[i] = res; // 결과 저장
-        renderResult(resBox, res, recipeInfo);
-      }
-    }
+  const staminaBudget = parseFloat(document.getElementById('staminaBudget').value);
+  const coinBudget = parseFloat(document.getElementById('coinBudget').value);
+  if (isNaN(staminaBudget) && isNaN(coinBudget)) {
+    resultEl.innerHTML = '<p class="bom-empty">스태미나 또는 코인 예산을 입력하세요.</p>';
+    return;
   }
-  updateTotalSummary(); // 모든 슬롯 재계산 후 요약 업데이트
-}
 
-function initCalculator() {
-  if (!appData.settings) appData.settings = {}; // Ensure appData.settings exists from the start
-  // --- Settings Inputs Handling ---
-  const staminaCostInput = document.getElementById('staminaCost');
-  const efficiencyLimitInput = document.getElementById('efficiencyLimit');
-  const conservationLevelInput = document.getElementById('conservationLevel');
-  const wlbLevelInput = document.getElementById('wlbLevel');
-  const ignoreIntermediateStaminaInput = document.getElementById('ignoreIntermediateStamina');
+  const entries = [];
+  getSlotIds().forEach((slot, i) => {
+    const res = slotResults[slot];
+    const rewardInput = document.getElementById(`reward-${slot}`);
+    if (!res || res.error || !rewardInput) return;
+    const options = getMilestoneOptions(res.itemName, parseFloat(rewardInput.value), res.delivered || 0);
+    if (options.error) return;
+    entries.push({ slot: slot, displayIndex: i + 1, itemName: res.itemName, options: options });
+  });
+
+  if (entries.length === 0) {
+    resultEl.innerHTML = '<p class="bom-empty">계산 가능한 품목이 없습니다.</p>';
+    return;
+  }
+
+  const result = optimizeBoard(
+    entries,
+    isNaN(staminaBudget) ? Infinity : staminaBudget,
+    isNaN(coinBudget) ? Infinity : coinBudget
+  );
+
+  const rows = entries.map(entry => {
+    const pick = result.plan[entry.slot];
+    const note = document.getElementById(`optimizer-${entry.slot}`);
+    if (note) {
+      note.innerHTML = pick
+        ? `<span class="badge info">최적화: ${pick.round}회 납품</span>`
+        : `<span class="badge bad">최적화: 건너뜀</span>`;
+    }
+    const planText = pick ? `<b>${pick.round}회</b> (${pick.items}개)` : '<span>건너뜀</span>';
+    return `<div class="stat-row"><span>품목 ${entry.displayIndex} · ${escapeHtml(entry.itemName)}</span> ${planText}</div>`;
+  }).join('');
+
+  const budgetText = (used, budget) => isNaN(budget) ? used.toLocaleString() : `${used.toLocaleString()} / ${budget.toLocaleString()}`;
+  resultEl.innerHTML = `
+    ${rows}
+    <div class="stat-row"><span>사용 코인:</span> <span>${budgetText(Math.round(result.coin), coinBudget)}</span></div>
+    <div class="stat-row"><span>사용 스태미나 (실제 제작):</span> <span>${budgetText(Math.round(result.stamina), staminaBudget)}</span></div>
+    <div class="stat-row"><span>총 획득 냥코인:</span> <b class="profit">${result.profit.toLocaleString()}냥</b></div>
+  `;
+}
+
+// --- 민감도 분석 ---
+// 분석할 수 있는 설정값 (relative: 현재 값 기준 ±범위%로 변화)
+const SENSITIVITY_PARAMS = {
+  conservation_level: { label: '절약 레벨', relative: false },
+  wlb_level: { label: '워라밸 레벨', relative: false },
+  stamina_cost: { label: '스태미나 1당 가치', relative: true },
+  efficiency_limit: { label: '마지노선 효율', relative: true },
+  material: { label: '재료 가격', relative: true }
+};
+
+// 분석 지점 목록: 레벨은 0~10, 나머지는 현재 값의 -범위% ~ +범위%를 10등분
+function getSensitivityPoints(param, baseValue, rangePercent = 50) {
+  const points = [];
+  if (!SENSITIVITY_PARAMS[param].relative) {
+    for (let level = 0; level <= 10; level++) {
+      points.push({ value: level, label: `${level}`, current: level === baseValue });
+    }
+    return points;
+  }
+  for (let step = -5; step <= 5; step++) {
+    const percent = rangePercent * step / 5;
+    const value = +(baseValue * (1 + percent / 100)).toFixed(3);
+    points.push({ value: value, label: `${value} (${percent > 0 ? '+' : ''}${+percent.toFixed(1)}%)`, current: step === 0 });
+  }
+  return points;
+}
+
+// 설정값 하나를 바꿔가며 현재 보드의 슬롯을 다시 계산합니다. 계산이 끝나면 원래 값으로 되돌립니다.
+function runSensitivity(param, points, materialName) {
+  const entries = Object.keys(slotResults)
+    .filter(slot => slotResults[slot] && !slotResults[slot].error)
+    .map(slot => ({
+      slot: slot,
+      itemName: slotResults[slot].itemName,
+      reward: slotResults[slot].reward,
+      mode: slotResults[slot].mode,
+      delivered: slotResults[slot].delivered || 0
+    }));
+
+  const savedSettings = { ...appData.settings };
+  const savedPrice = materialName ? appData.materials[materialName] : undefined;
+  const automaticWlbLevel = getAutomaticWlbLevel();
+  try {
+    return points.map(point => {
+      if (param === 'material') {
+        appData.materials[materialName] = point.value;
+      } else if (param === 'wlb_level') {
+        appData.settings.wlb_level = point.value;
+        appData.settings.stamina_cost = parseFloat(calculateStaminaCost(point.value));
+      } else {
+        appData.settings[param] = point.value;
+        // 절약 레벨은 기준 체인의 재료 개수도 바꾸므로, 스태미나 가치가 자동이면 지점마다 다시 계산합니다.
+        if (param === 'conservation_level' && automaticWlbLevel !== null) {
+          appData.settings.stamina_cost = parseFloat(calculateStaminaCost(automaticWlbLevel));
+        }
+      }
+      const results = {};
+      entries.forEach(entry => {
+        results[entry.slot] = calcEfficiency(entry.itemName, entry.reward, entry.mode, entry.delivered);
+      });
+      return { point: point, results: results, ratio: getBoardTotals(results).ratio };
+    });
+  } finally {
+    appData.settings = savedSettings;
+    if (materialName) appData.materials[materialName] = savedPrice;
+  }
+}
+
+function updateSensitivity() {
+  const resultEl = document.getElementById('sensitivity-result');
+  if (!resultEl) return;
+  const param = document.getElementById('sensitivityParam').value;
+  const materialName = document.getElementById('sensitivityMaterial').value.trim();
+  const rangePercent = parseFloat(document.getElementById('sensitivityRange').value) || 50;
+
+  let baseValue;
+  if (param === 'material') {
+    if (!appData.materials || !(appData.materials[materialName] > 0)) {
+      resultEl.innerHTML = '<p class="bom-empty">가격이 있는 재료 이름을 입력하세요.</p>';
+      return;
+    }
+    baseValue = appData.materials[materialName];
+  } else {
+    baseValue = parseFloat(appData.settings[param]) || 0;
+  }
+
+  const sweep = runSensitivity(param, getSensitivityPoints(param, baseValue, rangePercent), param === 'material' ? materialName : null);
+  const slots = Object.keys(sweep[0].results);
+  if (slots.length === 0) {
+    resultEl.innerHTML = '<p class="bom-empty">계산된 슬롯이 없습니다.</p>';
+    return;
+  }
+
+  const outcome = (res) => res.error ? '오류' : (res.recommend ? `${res.round}회` : '비추천');
+  const thresholds = [];
+  const rows = sweep.map((row, i) => {
+    const cells = slots.map(slot => {
+      const text = outcome(row.results[slot]);
+      const prev = i > 0 ? outcome(sweep[i - 1].results[slot]) : text;
+      // 바로 앞 지점과 추천이 달라지는 곳이 임계점입니다.
+      if (text !== prev) {
+        thresholds.push(`${escapeHtml(row.results[slot].itemName)}: ${sweep[i - 1].point.label} → ${row.point.label}에서 ${prev} → ${text}`);
+      }
+      return `<td class="${text !== prev ? 'flip' : ''}">${text}</td>`;
+    }).join('');
+    return `
+      <tr class="${row.point.current ? 'current' : ''}">
+        <td>${row.point.label}</td>${cells}<td>${row.ratio !== null ? row.ratio.toFixed(3) : '-'}</td>
+      </tr>`;
+  }).join('');
+
+  const paramLabel = param === 'material' ? `${escapeHtml(materialName)} 가격` : SENSITIVITY_PARAMS[param].label;
+  resultEl.innerHTML = `
+    <div class="round-table-wrap sensitivity-table-wrap">
+      <table class="round-table">
+        <thead><tr><th>${paramLabel}</th>${slots.map(slot => `<th>${escapeHtml(sweep[0].results[slot].itemName)}</th>`).join('')}<th>교환비</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    <h4>추천이 바뀌는 지점</h4>
+    ${thresholds.length > 0
+      ? `<ul class="sensitivity-thresholds">${thresholds.map(t => `<li>${t}</li>`).join('')}</ul>`
+      : '<p class="bom-empty">이 범위에서는 추천이 바뀌지 않습니다.</p>'}
+  `;
+}
+
+function initSensitivity() {
+  const paramSelect = document.getElementById('sensitivityParam');
+  const materialInput = document.getElementById('sensitivityMaterial');
+  const rangeInput = document.getElementById('sensitivityRange');
+  const runButton = document.getElementById('sensitivityRunBtn');
+  if (!paramSelect || !materialInput || !rangeInput || !runButton) return;
+
+  paramSelect.innerHTML = Object.entries(SENSITIVITY_PARAMS)
+    .map(([key, p]) => `<option value="${key}">${p.label}</option>`).join('');
+
+  // 재료 가격을 고를 때만 재료 이름 입력란을, 비율로 바뀌는 값일 때만 범위 입력란을 보여줍니다.
+  const updateInputs = () => {
+    materialInput.style.display = paramSelect.value === 'material' ? '' : 'none';
+    rangeInput.parentElement.style.display = SENSITIVITY_PARAMS[paramSelect.value].relative ? '' : 'none';
+  };
+  updateInputs();
+  if (!markListenerAdded(runButton)) return;
+  paramSelect.addEventListener('change', updateInputs);
+
+  materialInput.addEventListener('focus', () => {
+    const datalist = document.getElementById('materialItemList');
+    datalist.innerHTML = Object.keys(appData.materials || {}).sort()
+      .map(item => `<option value="${item}"></option>`).join('');
+  });
+  runButton.addEventListener('click', updateSensitivity);
+}
+
+// 추천된 모든 슬롯의 필요 개수를 보유 재고와 함께 전개합니다.
+function buildBoardBillOfMaterials(results = slotResults) {
+  const orders = [];
+  Object.values(results).forEach(res => {
+    if (res && res.recommend) {
+      orders.push({ name: res.itemName, quantity: res.totalItems });
+    }
+  });
+  const conservationLevel = getConservationLevel();
+  return buildBillOfMaterials(orders, conservationLevel, inventory.items);
+}
+
+// 추천된 모든 슬롯의 필요 개수를 합쳐 구매 목록과 제작 목록을 만듭니다.
+function updateBillOfMaterials(bom) {
+  const listEl = document.getElementById('bom-content');
+  const textEl = document.getElementById('bom-text');
+  if (!listEl || !textEl) return;
+
+  if (Object.keys(bom.finals).length === 0) {
+    listEl.innerHTML = '<p class="bom-empty">추천된 품목이 없습니다.</p>';
+    textEl.value = '';
+    return;
+  }
+
+  const conservationLevel = getConservationLevel();
+  const purchaseTotal = bom.coin;
+  const materialRows = Object.keys(bom.materials).sort().map(name => {
+    const qty = bom.materials[name];
+    const price = appData.materials[name] || 0;
+    return { name, qty: qty.toLocaleString(), note: `${(price * qty).toLocaleString()}코인` };
+  });
+  const stockRows = Object.keys(bom.stockUsed).sort().map(name => {
+    const owned = inventory.items[name] || 0;
+    return { name, qty: bom.stockUsed[name].toLocaleString(), note: `보유 ${owned.toLocaleString()}` };
+  });
+  const craftRows = bom.craftOrder.map(name => {
+    const { recipe } = findRecipe(name, conservationLevel, bom.finals[name] !== undefined);
+    const isFinal = bom.finals[name] !== undefined;
+    // 한 번에 여러 개가 생산되면 제작 횟수와 생산 개수를 함께 표시
+    const crafts = bom.crafts[name];
+    const qty = bom.produced[name] !== crafts ? `${crafts}회 (${bom.produced[name]}개)` : `${crafts}`;
+    return { name, qty, note: isFinal ? '납품' : (recipe.category || '중간재료') };
+  });
+
+  const renderRows = (rows) => rows.map(r => `
+    <div class="stat-row"><span>${r.name} <small>(${r.note})</small></span> <b>${r.qty}</b></div>
+  `).join('');
+
+  const errorHtml = bom.errors.length > 0
+    ? `<p class="bom-empty"><span class="badge bad">제외됨</span> ${bom.errors.map(e => escapeHtml(e.itemName || e.materialName)).join(', ')}</p>`
+    : '';
+
+  const stockHtml = stockRows.length > 0
+    ? `<h4>보유 재고에서 사용</h4>${renderRows(stockRows)}`
+    : '';
+
+  listEl.innerHTML = `
+    ${errorHtml}
+    ${stockHtml}
+    <div class="bom-columns">
+      <div>
+        <h4>상점 구매 재료 <small>(${purchaseTotal.toLocaleString()}코인)</small></h4>
+        ${renderRows(materialRows)}
+      </div>
+      <div>
+        <h4>제작 목록 <small>(제작 순서)</small></h4>
+        ${renderRows(craftRows)}
+      </div>
+    </div>
+  `;
+
+  textEl.value = [
+    ...(stockRows.length > 0 ? ['[보유 재고에서 사용]', ...stockRows.map(r => `${r.name} ${r.qty}`), ''] : []),
+    `[상점 구매 재료] 총 ${purchaseTotal.toLocaleString()}코인`,
+    ...materialRows.map(r => `${r.name} ${r.qty}`),
+    '',
+    '[제작 목록]',
+    ...craftRows.map(r => `${r.name} ${r.qty} (${r.note})`)
+  ].join('\n');
+}
+
+function recalculateAllSlots() {
+  getSlotIds().forEach(i => {
+    const nameInput = document.getElementById(`name-${i}`);
+    const rewardInput = document.getElementById(`reward-${i}`);
+    const modeSelect = document.getElementById(`mode-${i}`);
+    const resBox = document.getElementById(`result-${i}`);
+
+    if (nameInput && rewardInput && resBox && modeSelect) {
+      const name = nameInput.value.trim();
+      const reward = parseFloat(rewardInput.value);
+      const delivered = getSlotDelivered(i);
+      const mode = modeSelect.value;
+      const recipeInfo = findRecipe(name, getConservationLevel());
+
+      if (name && !isNaN(reward) && reward > 0) {
+        const res = calcEfficiency(name, reward, mode, delivered);
+        slotResults[i] = res; // 결과 저장
+        renderResult(resBox, res, recipeInfo);
+      } else {
+        slotResults[i] = null; // 비워진 슬롯의 이전 결과 지우기
+        resBox.className = 'result-box';
+        resBox.innerHTML = '';
+        if (name) renderMinimumRewards(resBox, name, delivered);
+      }
+    }
+  });
+  renderRewardCatalog(); // 설정이 바뀌면 최소 보상 목록도 다시 계산
+  updateTotalSummary(); // 모든 슬롯 재계산 후 요약 업데이트
+}
+
+function initCalculator() {
+  if (!appData.settings) appData.settings = {}; // Ensure appData.settings exists from the start
+  // --- Settings Inputs Handling ---
+  const staminaCostInput = document.getElementById('staminaCost');
+  const efficiencyLimitInput = document.getElementById('efficiencyLimit');
+  const conservationLevelInput = document.getElementById('conservationLevel');
+  const wlbLevelInput = document.getElementById('wlbLevel');
+  const ignoreIntermediateStaminaInput = document.getElementById('ignoreIntermediateStamina');
+  const staminaReferenceSelect = document.getElementById('staminaReference');
+
+  // 스태미나 가치 기준 레시피 목록 (재료가 있는 레시피만)
+  if (staminaReferenceSelect) {
+    const referenceItem = getStaminaReference();
+    staminaReferenceSelect.innerHTML = Object.keys(appData.recipes || {})
+      .filter(name => Object.keys(getRecipeVariants(name)[0].ingredients || {}).length > 0)
+      .sort()
+      .map(name => `<option value="${name}">${name}</option>`).join('');
+    staminaReferenceSelect.value = referenceItem;
+    appData.settings.stamina_reference = referenceItem;
+  }
 
 
   const updateSettings = () => {
     if (!appData.settings) appData.settings = {}; // Ensure appData.settings exists
 
+    // 절약 레벨은 기준 체인의 재료 개수에도 영향을 주므로 먼저 반영합니다.
+    appData.settings.conservation_level = parseInt(conservationLevelInput.value, 10) || 0;
+    if (staminaReferenceSelect) appData.settings.stamina_reference = staminaReferenceSelect.value;
+
     let staminaVal = parseFloat(staminaCostInput.value);
     let wlbVal = parseInt(wlbLevelInput.value, 10);
 
@@ -517,13 +1524,14 @@ function initCalculator() {
 
     // Update other settings
     appData.settings.efficiency_limit = parseFloat(efficiencyLimitInput.value) || 0.36;
-    appData.settings.conservation_level = parseInt(conservationLevelInput.value, 10) || 0;
     appData.settings.ignoreIntermediateStamina = ignoreIntermediateStaminaInput.checked;
 
+    renderStaminaDerivation();
     recalculateAllSlots();
   };
 
   const debouncedUpdateSettings = debounce(updateSettings, 400);
+  updateSettingsFromInputs = updateSettings; // 저장된 보드를 불러올 때 사용
 
   const updateStaminaCostDisplayFromWLB = () => {
     const wlbVal = parseInt(wlbLevelInput.value, 10);
@@ -537,6 +1545,7 @@ function initCalculator() {
     // Initial setup:
     // If WLB has a valid value, calculate stamina and set staminaCostInput.
     // Otherwise, assume custom stamina or a default.
+    appData.settings.conservation_level = parseInt(conservationLevelInput.value, 10) || 0;
     const initialWlbLevel = parseInt(wlbLevelInput.value, 10);
     if (!isNaN(initialWlbLevel) && initialWlbLevel >= 0 && initialWlbLevel <= 10) {
         appData.settings.wlb_level = initialWlbLevel;
@@ -549,96 +1558,64 @@ function initCalculator() {
     }
     // Also set other initial settings
     appData.settings.efficiency_limit = parseFloat(efficiencyLimitInput.value) || 0.36;
-    appData.settings.conservation_level = parseInt(conservationLevelInput.value, 10) || 0;
     appData.settings.ignoreIntermediateStamina = ignoreIntermediateStaminaInput.checked;
+    renderStaminaDerivation();
 
 
     
     // Initial recalculation after settings are applied
 
-    staminaCostInput.addEventListener('input', () => {
-      // When staminaCost is manually edited, set WLB to 'custom'
-      if (wlbLevelInput.value !== 'custom') {
-          wlbLevelInput.value = 'custom';
-      }
-      debouncedUpdateSettings();
-    });
-    
-    wlbLevelInput.addEventListener('input', () => {
-      // If WLB input is changed (and not 'custom'), calculate and update staminaCost
-      if (wlbLevelInput.value !== 'custom') {
-          updateStaminaCostDisplayFromWLB(); // Immediate UI update
-      }
-      debouncedUpdateSettings(); // Delayed full settings update and recalculation
-    });
-
-    efficiencyLimitInput.addEventListener('input', debouncedUpdateSettings);
-    conservationLevelInput.addEventListener('input', debouncedUpdateSettings);
-    ignoreIntermediateStaminaInput.addEventListener('change', updateSettings); // Direct call for immediate feedback
+    if (markListenerAdded(staminaCostInput)) {
+      staminaCostInput.addEventListener('input', () => {
+        // When staminaCost is manually edited, set WLB to 'custom'
+        if (wlbLevelInput.value !== 'custom') {
+            wlbLevelInput.value = 'custom';
+        }
+        debouncedUpdateSettings();
+      });
+      
+      wlbLevelInput.addEventListener('input', () => {
+        // If WLB input is changed (and not 'custom'), calculate and update staminaCost
+        if (wlbLevelInput.value !== 'custom') {
+            updateStaminaCostDisplayFromWLB(); // Immediate UI update
+        }
+        debouncedUpdateSettings(); // Delayed full settings update and recalculation
+      });
 
+      efficiencyLimitInput.addEventListener('input', debouncedUpdateSettings);
+      conservationLevelInput.addEventListener('input', debouncedUpdateSettings);
+      ignoreIntermediateStaminaInput.addEventListener('change', updateSettings); // Direct call for immediate feedback
+      if (staminaReferenceSelect) staminaReferenceSelect.addEventListener('change', updateSettings);
+    }
   }
 
-  // Grid Creation ---
-  const rows = [
-    { count: 3, class: 'row-3' },
-    { count: 3, class: 'row-3' }, // Changed to 3 slots for the second row
-    { count: 3, class: 'row-3' }
-  ];
-  
+  // Slot Creation ---
   const container = document.getElementById('grid-container');
   // Clear any existing content to prevent duplication
-  container.innerHTML = ''; 
+  container.innerHTML = '';
+  slotResults = {};
+  nextSlotId = 1;
+  setSlotCount(DEFAULT_SLOT_COUNT);
 
-  let slotIndex = 0; // For actual calculation slots (1-8)
+  const addSlotButton = document.getElementById('addSlotBtn');
+  if (markListenerAdded(addSlotButton)) {
+    addSlotButton.addEventListener('click', () => {
+      addSlot();
+      updateTotalSummary(); // 슬롯 개수도 자동 저장
+    });
+  }
+  initInventory();
+  initRewardCatalog();
+  initSensitivity();
+  initStaminaPlan();
+  initBoards(); // 자동 저장된 보드 복원 포함
+  initReportExport();
 
-  rows.forEach((rowInfo, rowIndex) => {
-    const rowDiv = document.createElement('div');
-    rowDiv.className = `row ${rowInfo.class}`;
-    
-    for (let i = 0; i < rowInfo.count; i++) {
-      // Check if this is the 2nd row (rowIndex 1) and 3rd cell (i 2)
-      if (rowIndex === 1 && i === 2) {
-        // Insert the total-summary div here
-        const summaryDivContent = `
-            <div id="total-summary" class="card">
-              <h3>종합 효율 요약</h3>
-              <div class="summary-stats-container">
-                <div class="summary-stat">
-                  <span>총 소모 코인</span>
-                  <b id="total-coin-cost">0</b>
-                </div>
-                <div class="summary-stat">
-                  <span>총 소모 스태미나</span>
-                  <b id="total-stamina-cost">0</b>
-                </div>
-                <div class="summary-stat">
-                  <span>총 획득 냥코인</span>
-                  <b id="total-nyan-gain" class="profit">0</b>
-                </div>
-                <div class="summary-stat">
-                  <span>최종 교환비</span>
-                  <b id="final-exchange-ratio">0</b>
-                </div>
-              </div>
-            </div>
-        `;
-        const tempDiv = document.createElement('div'); // Create a temporary div to parse the HTML string
-        tempDiv.innerHTML = summaryDivContent;
-        // FIXED: Use firstElementChild to avoid picking up whitespace/text nodes
-        rowDiv.appendChild(tempDiv.firstElementChild); 
-      } else {
-        slotIndex++; // Only increment for actual calculation slots
-        const card = createSlot(slotIndex);
-        rowDiv.appendChild(card);
-      }
-    }
-    container.appendChild(rowDiv);
-  });
   // Perform an initial recalculation after all elements are in the DOM
   recalculateAllSlots(); 
 
   const captureButton = document.getElementById('captureBtn');
-  if (captureButton) {
+  if (markListenerAdded(captureButton)) {
     captureButton.addEventListener('click', () => {
       // Temporarily change button text
       captureButton.textContent = '...이미지 생성중...';
@@ -662,11 +1639,45 @@ function initCalculator() {
             if (captureButton && captureButton.parentElement) {
               captureButton.parentElement.style.display = 'none';
             }
+            // Hide the slot add/remove controls in the cloned document
+            clonedDoc.querySelectorAll('.slot-remove, #addSlotBtn').forEach(el => {
+              el.style.display = 'none';
+            });
             // Hide the clipboard section in the cloned document
             const clipboardSection = clonedDoc.getElementById('clipboard-section');
             if (clipboardSection) {
               clipboardSection.style.display = 'none';
             }
+            // Hide the inventory section in the cloned document
+            const inventorySection = clonedDoc.getElementById('inventory-section');
+            if (inventorySection) {
+              inventorySection.style.display = 'none';
+            }
+            // Hide the shopping list section in the cloned document
+            const bomSection = clonedDoc.getElementById('bom-section');
+            if (bomSection) {
+              bomSection.style.display = 'none';
+            }
+            // Hide the stamina schedule in the cloned document
+            const staminaPlanSection = clonedDoc.getElementById('stamina-plan-section');
+            if (staminaPlanSection) {
+              staminaPlanSection.style.display = 'none';
+            }
+            // Hide the saved boards section in the cloned document
+            const boardsSection = clonedDoc.getElementById('boards-section');
+            if (boardsSection) {
+              boardsSection.style.display = 'none';
+            }
+            // Hide the sensitivity panel in the cloned document
+            const sensitivitySection = clonedDoc.getElementById('sensitivity-section');
+            if (sensitivitySection) {
+              sensitivitySection.style.display = 'none';
+            }
+            // Hide the minimum reward catalog in the cloned document
+            const catalogSection = clonedDoc.getElementById('reward-catalog-section');
+            if (catalogSection) {
+              catalogSection.style.display = 'none';
+            }
           }
         }).then(canvas => {
           const image = canvas.toDataURL('image/png');
@@ -703,7 +1714,7 @@ function initCalculator() {
   const importBtn = document.getElementById('importBtn');
   const clipboardDataEl = document.getElementById('clipboard-data');
 
-  if (exportBtn) {
+  if (markListenerAdded(exportBtn)) {
     const originalBtnText = exportBtn.innerHTML;
 
     exportBtn.addEventListener('click', () => {
@@ -726,7 +1737,64 @@ function initCalculator() {
     });
   }
 
-  if (importBtn) {
+  // 전체 상태(슬롯, 계산 방식, 설정)를 담은 공유 링크 복사
+  const shareLinkBtn = document.getElementById('shareLinkBtn');
+  if (markListenerAdded(shareLinkBtn)) {
+    const originalBtnText = shareLinkBtn.innerHTML;
+
+    shareLinkBtn.addEventListener('click', () => {
+      navigator.clipboard.writeText(getBoardLink()).then(() => {
+        shareLinkBtn.innerHTML = '복사됨!';
+        shareLinkBtn.classList.add('copied');
+        shareLinkBtn.disabled = true;
+
+        setTimeout(() => {
+          shareLinkBtn.innerHTML = originalBtnText;
+          shareLinkBtn.classList.remove('copied');
+          shareLinkBtn.disabled = false;
+        }, 1000);
+
+      }).catch(err => {
+        console.log('클립보드 복사에 실패했습니다.');
+        console.error('Clipboard copy failed:', err);
+      });
+    });
+  }
+
+  // --- Optimizer Inputs ---
+  const optimizerEnabledInput = document.getElementById('optimizerEnabled');
+  const staminaBudgetInput = document.getElementById('staminaBudget');
+  const coinBudgetInput = document.getElementById('coinBudget');
+  if (staminaBudgetInput && coinBudgetInput && markListenerAdded(optimizerEnabledInput)) {
+    const debouncedUpdateOptimizer = debounce(updateOptimizer, 300);
+    optimizerEnabledInput.addEventListener('change', updateOptimizer);
+    staminaBudgetInput.addEventListener('input', debouncedUpdateOptimizer);
+    coinBudgetInput.addEventListener('input', debouncedUpdateOptimizer);
+  }
+
+  const bomCopyBtn = document.getElementById('bomCopyBtn');
+  if (markListenerAdded(bomCopyBtn)) {
+    const originalBtnText = bomCopyBtn.innerHTML;
+
+    bomCopyBtn.addEventListener('click', () => {
+      navigator.clipboard.writeText(document.getElementById('bom-text').value).then(() => {
+        bomCopyBtn.innerHTML = '복사됨!';
+        bomCopyBtn.classList.add('copied');
+        bomCopyBtn.disabled = true;
+
+        setTimeout(() => {
+          bomCopyBtn.innerHTML = originalBtnText;
+          bomCopyBtn.classList.remove('copied');
+          bomCopyBtn.disabled = false;
+        }, 1000);
+      }).catch(err => {
+        console.log('클립보드 복사에 실패했습니다.');
+        console.error('Clipboard copy failed:', err);
+      });
+    });
+  }
+
+  if (markListenerAdded(importBtn)) {
     importBtn.addEventListener('click', () => {
       const importString = clipboardDataEl.value.trim();
       if (!importString) {
@@ -734,49 +1802,30 @@ function initCalculator() {
         return;
       }
 
-      // Clear existing slots before importing
-      for (let i = 1; i <= 8; i++) {
-        const nameInput = document.getElementById(`name-${i}`);
-        const rewardInput = document.getElementById(`reward-${i}`);
-        if (nameInput && rewardInput) {
-          nameInput.value = '';
-          rewardInput.value = '';
-        }
-      }
-
-      const parts = importString.split(',').map(s => s.trim());
-      parts.forEach((part, index) => {
-        if (index < 8) { // Only process up to 8 slots
-          const slotIndex = index + 1;
-          const lastSpaceIndex = part.lastIndexOf(' ');
-          
-          if (lastSpaceIndex > 0) {
-            const name = part.substring(0, lastSpaceIndex).trim();
-            const reward = part.substring(lastSpaceIndex + 1).trim();
-
-            const nameInput = document.getElementById(`name-${slotIndex}`);
-            const rewardInput = document.getElementById(`reward-${slotIndex}`);
-
-            if (nameInput && rewardInput) {
-              nameInput.value = name;
-              rewardInput.value = reward;
-            }
-          }
-        }
-      });
+      const entries = parseImportText(importString);
 
-      recalculateAllSlots();
-      console.log('데이터를 붙여넣고 재계산했습니다.');
+      // 모든 항목이 확실하면 바로 채우고, 아니면 확인 목록을 띄웁니다.
+      if (entries.every(isImportEntryConfirmed)) {
+        document.getElementById('import-preview').innerHTML = '';
+        const skipped = applyImportEntries(entries.map(entry => ({ name: entry.match.name, reward: entry.reward, mode: entry.mode })));
+        console.log('데이터를 붙여넣고 재계산했습니다.' + describeSkippedImport(skipped));
+        return;
+      }
+      renderImportPreview(entries);
     });
   }
 }
 
 function createSlot(idx) {
   const div = document.createElement('div');
-  div.className = 'card';
+  div.className = 'card slot-card';
+  div.dataset.slot = idx;
   div.innerHTML = `
     <div class="input-group">
-      <label>품목 ${idx}</label>
+      <div class="slot-header">
+        <label class="slot-label">품목 ${idx}</label>
+        <button type="button" class="slot-remove" title="슬롯 삭제">×</button>
+      </div>
       <input type="text" list="itemList" id="name-${idx}" class="input" placeholder="품목 이름">
     </div>
     <div class="row" style="gap: 10px; align-items: flex-end;">
@@ -784,29 +1833,32 @@ function createSlot(idx) {
         <label>보상 냥코인</label>
         <input type="number" id="reward-${idx}" class="input" placeholder="숫자 입력">
       </div>
+      <div class="input-group" style="flex: 1;">
+        <label title="이미 납품한 회차 수">완료 회차</label>
+        <input type="number" id="delivered-${idx}" class="input" min="0" placeholder="0">
+      </div>
       <div class="input-group" style="flex: 1;">
         <label>계산 방식</label>
         <select id="mode-${idx}" class="select-box">
           <option value="default">추천</option>
-          <option value="1">1회</option>
-          <option value="2">2회</option>
-          <option value="3">10회</option>
-          <option value="5">20회</option>
-          <option value="10">25회</option>
+          ${[...getDeliveryMilestones()].reverse().map(m => `<option value="${m}">${m}회</option>`).join('')}
         </select>
       </div>
     </div>
     <div class="result-box" id="result-${idx}"></div>
+    <div class="optimizer-note" id="optimizer-${idx}"></div>
   `;
 
   const rewardInput = div.querySelector(`#reward-${idx}`);
   const nameInput = div.querySelector(`#name-${idx}`);
   const modeSelect = div.querySelector(`#mode-${idx}`);
+  const deliveredInput = div.querySelector(`#delivered-${idx}`);
   
   const doCalc = () => {
     const name = nameInput.value.trim();
-    const recipeInfo = findRecipe(name);
+    const recipeInfo = findRecipe(name, getConservationLevel());
     const reward = parseFloat(rewardInput.value);
+    const delivered = getSlotDelivered(idx);
     const mode = modeSelect.value;
     const resBox = div.querySelector(`#result-${idx}`);
 
@@ -816,11 +1868,12 @@ function createSlot(idx) {
     if (!name || isNaN(reward) || reward <= 0) {
       resBox.innerHTML = '';
       slotResults[idx] = null; // 저장된 결과 지우기
+      if (name) renderMinimumRewards(resBox, name, delivered);
       updateTotalSummary(); // 요약 업데이트
       return;
     }
 
-    const res = calcEfficiency(name, reward, mode);
+    const res = calcEfficiency(name, reward, mode, delivered);
     slotResults[idx] = res; // 결과 저장
     renderResult(resBox, res, recipeInfo);
     updateTotalSummary(); // 요약 업데이트
@@ -831,6 +1884,10 @@ function createSlot(idx) {
   rewardInput.addEventListener('input', debouncedDoCalc);
   nameInput.addEventListener('input', debouncedDoCalc);
   modeSelect.addEventListener('change', doCalc);
+  deliveredInput.addEventListener('input', () => {
+    updateSlotModeOptions(idx);
+    debouncedDoCalc();
+  });
   
   // Keep keydown for Enter for immediate calculation if preferred
   rewardInput.addEventListener('keydown', (e) => {
@@ -841,206 +1898,2189 @@ function createSlot(idx) {
   });
   
   nameInput.addEventListener('focus', updateDataList);
+  div.querySelector('.slot-remove').addEventListener('click', () => removeSlot(idx));
 
   return div;
 }
 
-function updateDataList() {
-  const datalist = document.getElementById('itemList');
-  datalist.innerHTML = '';
-  if (!appData.recipes) return; // Guard against missing data
+// --- 결과 보고서 내보내기 (CSV / JSON / Markdown) ---
+const REPORT_COLUMNS = [
+  { key: 'slot', label: '슬롯' },
+  { key: 'item', label: '품목' },
+  { key: 'category', label: '카테고리' },
+  { key: 'reward', label: '보상' },
+  { key: 'mode', label: '계산 방식' },
+  { key: 'delivered', label: '완료 회차' },
+  { key: 'round', label: '납품 회차' },
+  { key: 'totalItems', label: '필요 개수' },
+  { key: 'unitCost', label: '단가' },
+  { key: 'consumedCoin', label: '소모 코인' },
+  { key: 'totalStamina', label: '소모 스태미나' },
+  { key: 'averageEfficiency', label: '납품 효율' },
+  { key: 'status', label: '상태' }
+];
 
-  const allItems = appData.recipes ? Object.keys(appData.recipes) : [];
-  
-  allItems.sort().forEach(item => {
-    const opt = document.createElement('option');
-    opt.value = item;
-    datalist.appendChild(opt);
+// 현재 보드의 슬롯별 결과, 합계, 사용한 설정을 하나의 보고서로 모읍니다. (비어 있는 슬롯 제외)
+function getBoardReport() {
+  const conservationLevel = getConservationLevel();
+  const rows = [];
+  getSlotIds().forEach((i, index) => {
+    const res = slotResults[i];
+    if (!res) return;
+    // 오류 결과의 itemName은 문제가 된 재료일 수 있으므로 품목과 방식은 슬롯 입력값을 씁니다.
+    const itemName = document.getElementById(`name-${i}`).value.trim();
+    const mode = res.mode || document.getElementById(`mode-${i}`).value;
+    // 원가를 계산할 수 없는 품목은 대안 레시피를 고르지 않고 첫 레시피의 카테고리를 표시합니다.
+    const recipe = res.error
+      ? getRecipeVariants(itemName)[0]
+      : (findRecipe(itemName, conservationLevel) || {}).recipe;
+    let status = '추천';
+    if (res.error) status = `오류: ${res.error}`;
+    else if (res.mode !== 'default') status = '시뮬레이션';
+    else if (!res.recommend) status = '비추천';
+    rows.push({
+      slot: index + 1,
+      item: itemName,
+      category: recipe ? recipe.category || '' : '',
+      reward: res.reward !== undefined ? res.reward : document.getElementById(`reward-${i}`).value,
+      mode: mode === 'default' ? '추천' : `${mode}회`,
+      delivered: res.delivered !== undefined ? res.delivered : getSlotDelivered(i),
+      round: res.round !== undefined ? res.round : '',
+      totalItems: res.totalItems !== undefined ? res.totalItems : '',
+      unitCost: res.unitCost !== undefined ? res.unitCost : '',
+      consumedCoin: res.consumedCoin !== undefined ? res.consumedCoin : '',
+      totalStamina: res.totalStamina !== undefined ? res.totalStamina : '',
+      averageEfficiency: res.averageEfficiency !== undefined ? res.averageEfficiency : '',
+      status: status
+    });
   });
+
+  const totals = getBoardTotals();
+  return {
+    generatedAt: new Date().toISOString(),
+    settings: {
+      efficiency_limit: appData.settings.efficiency_limit,
+      conservation_level: conservationLevel,
+      wlb_level: appData.settings.wlb_level,
+      stamina_cost: appData.settings.stamina_cost,
+      stamina_reference: getStaminaReference(),
+      ignoreIntermediateStamina: !!appData.settings.ignoreIntermediateStamina
+    },
+    slots: rows,
+    totals: {
+      coin: totals.coin,
+      stamina: totals.stamina,
+      nyan: totals.nyan,
+      ratio: totals.ratio !== null ? Number(totals.ratio.toFixed(3)) : null
+    }
+  };
 }
 
-function renderResult(el, res, recipeInfo) {
-  el.className = 'result-box active';
-  let categoryHtml = '';
-  if (recipeInfo && recipeInfo.recipe && recipeInfo.recipe.category) {
-    categoryHtml = `<div class="stat-row"><span>카테고리:</span> <span>${recipeInfo.recipe.category}</span></div>`;
-  }
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-  if (res.error) {
-    let errorMessage = "알 수 없는 오류 발생";
-    switch (res.error) {
-      case "item_not_found":
-        errorMessage = `<b>"${res.itemName}"</b>(이)라는 품목을 찾을 수 없습니다. 철자를 확인하거나 데이터 관리자에서 추가해주세요.`;
-        break;
-      case "material_price_missing":
-        errorMessage = `재료 <b>"${res.materialName}"</b>의 가격 정보가 없습니다. 데이터 관리자에서 가격을 설정해주세요.`;
-        break;
-      case "circular_dependency":
-        errorMessage = `<b>"${res.itemName}"</b>에 순환 참조가 있습니다. 레시피를 확인해주세요.`;
-        break;
-      case "generic_cost_error":
-        errorMessage = `원가 계산 중 오류가 발생했습니다.`;
-        break;
-      default:
-        errorMessage = `오류: ${res.error}`;
-    }
-    el.innerHTML = `<span class="badge bad">오류 발생</span><p>${errorMessage}</p>`;
-    return;
-  }
+// 슬롯 표 다음에 빈 줄을 두고 합계와 설정을 "항목,값" 형식으로 붙입니다.
+function formatReportCsv(report) {
+  const lines = [REPORT_COLUMNS.map(column => column.key).join(',')];
+  report.slots.forEach(row => {
+    lines.push(REPORT_COLUMNS.map(column => toCsvField(row[column.key])).join(','));
+  });
+  lines.push('');
+  Object.entries(report.totals).forEach(([key, value]) => lines.push(`total_${key},${toCsvField(value)}`));
+  Object.entries(report.settings).forEach(([key, value]) => lines.push(`setting_${key},${toCsvField(value)}`));
+  lines.push(`generated_at,${report.generatedAt}`);
+  return lines.join('\r\n');
+}
 
-  // Handle 'default' mode (recommendation)
-  if (res.mode === 'default') {
-    if (!res.recommend) {
-      el.innerHTML = `
-        <span class="badge bad">납품 비추천</span>
-        ${categoryHtml}
-        <div class="stat-row"><span>품목 1개당 단가:</span> <span>${res.unitCost}</span></div>
-        <div class="stat-row"><span>필요 개수:</span> <b>${res.totalItems}개</b></div>
-        <div class="stat-row"><span>예상 수입:</span> <b class="profit">${res.totalProfit.toLocaleString()}냥</b></div>
-        <div class="stat-row"><span>소모 코인:</span> <span>${res.consumedCoin}</span></div>
+function formatReportMarkdown(report) {
+  const cell = value => String(value === null || value === undefined ? '' : value).replace(/\|/g, '\\|');
+  const lines = [
+    `| ${REPORT_COLUMNS.map(column => column.label).join(' | ')} |`,
+    `| ${REPORT_COLUMNS.map(() => '---').join(' | ')} |`,
+    ...report.slots.map(row => `| ${REPORT_COLUMNS.map(column => cell(row[column.key])).join(' | ')} |`)
+  ];
+  const ratio = report.totals.ratio !== null ? report.totals.ratio : '-';
+  lines.push('');
+  lines.push(`**합계** 코인 ${report.totals.coin.toLocaleString()} · 스태미나 ${report.totals.stamina.toLocaleString()} · 냥코인 ${report.totals.nyan.toLocaleString()} · 교환비 ${ratio}`);
+  lines.push(`**설정** 마지노선 효율 ${report.settings.efficiency_limit} · 절약 레벨 ${report.settings.conservation_level} · 워라밸 레벨 ${report.settings.wlb_level} · 스태미나 1당 가치 ${report.settings.stamina_cost}${report.settings.ignoreIntermediateStamina ? ' · 중간재료 스태미나 미포함' : ''}`);
+  return lines.join('\n');
+}
 
-        <div class="stat-row"><span>소모 스태미나:</span> <span>${res.totalStamina}</span></div>
-        <div class="stat-row"><span>납품 효율:</span> <span>${res.averageEfficiency}</span></div>
-      `;
-      return;
-    }
+function getReportDateString() {
+  const date = new Date();
+  return `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}-${date.getDate().toString().padStart(2, '0')}`;
+}
 
-    let badgeClass = res.averageEfficiency >= 0.5 ? 'good' : 'warn'; // Use averageEfficiency for badge color logic
-    el.innerHTML = `
-      <span class="badge ${badgeClass}">${res.round}회 납품 추천</span>
-      ${categoryHtml}
-      <div class="stat-row"><span>품목 1개당 단가:</span> <span>${res.unitCost}</span></div>
-      <div class="stat-row"><span>필요 개수:</span> <b>${res.totalItems}개</b></div>
-      <div class="stat-row"><span>예상 수입:</span> <b class="profit">${res.totalProfit.toLocaleString()}냥</b></div>
-      <div class="stat-row"><span>소모 코인:</span> <span>${res.consumedCoin}</span></div>
-      <div class="stat-row"><span>소모 스태미나:</span> <span>${res.totalStamina}</span></div>
-      <div class="stat-row"><span>납품 효율:</span> <span>${res.averageEfficiency}</span></div>
-    `;
-  } else { // Handle fixed delivery simulation
-    const deliveryMap = { '1': '1회', '2': '2회', '3': '10회', '5': '20회', '10': '25회' };
-    const badgeText = `${deliveryMap[res.mode]} 납품 시뮬레이션`;
-    el.innerHTML = `
-      <span class="badge info">${badgeText}</span>
-      ${categoryHtml}
-      <div class="stat-row"><span>품목 1개당 단가:</span> <span>${res.unitCost}</span></div>
-      <div class="stat-row"><span>필요 개수:</span> <b>${res.totalItems}개</b></div>
-      <div class="stat-row"><span>예상 수입:</span> <b class="profit">${res.totalProfit.toLocaleString()}냥</b></div>
-      <div class="stat-row"><span>소모 코인:</span> <span>${res.consumedCoin}</span></div>
-      <div class="stat-row"><span>소모 스태미나:</span> <span>${res.totalStamina}</span></div>
-      <div class="stat-row"><span>납품 효율:</span> <span>${res.averageEfficiency}</span></div>
-    `;
-  }
+function downloadTextFile(filename, mimeType, text) {
+  const link = document.createElement('a');
+  link.setAttribute('href', `data:${mimeType};charset=utf-8,` + encodeURIComponent(text));
+  link.setAttribute('download', filename);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
 }
 
+function initReportExport() {
+  const csvBtn = document.getElementById('reportCsvBtn');
+  const jsonBtn = document.getElementById('reportJsonBtn');
+  const markdownBtn = document.getElementById('reportMarkdownBtn');
 
-// --- 4. 에디터 페이지 로직 ---
-function initEditor() {
-  renderJsonPreview();
-  renderList('materials');
+  if (markListenerAdded(csvBtn)) {
+    csvBtn.addEventListener('click', () => {
+      // 엑셀에서 한글이 깨지지 않도록 BOM을 붙입니다.
+      downloadTextFile(`nyancoin_report_${getReportDateString()}.csv`, 'text/csv', '\uFEFF' + formatReportCsv(getBoardReport()));
+    });
+  }
+  if (markListenerAdded(jsonBtn)) {
+    jsonBtn.addEventListener('click', () => {
+      downloadTextFile(`nyancoin_report_${getReportDateString()}.json`, 'application/json', JSON.stringify(getBoardReport(), null, 2));
+    });
+  }
+  if (markListenerAdded(markdownBtn)) {
+    const originalBtnText = markdownBtn.innerHTML;
+
+    markdownBtn.addEventListener('click', () => {
+      navigator.clipboard.writeText(formatReportMarkdown(getBoardReport())).then(() => {
+        markdownBtn.innerHTML = '복사됨!';
+        markdownBtn.classList.add('copied');
+        markdownBtn.disabled = true;
+
+        setTimeout(() => {
+          markdownBtn.innerHTML = originalBtnText;
+          markdownBtn.classList.remove('copied');
+          markdownBtn.disabled = false;
+        }, 1000);
+      }).catch(err => {
+        console.log('클립보드 복사에 실패했습니다.');
+        console.error('Clipboard copy failed:', err);
+      });
+    });
+  }
+}
+
+// --- 일괄 입력 (품목 이름 매칭) ---
+const HANGUL_CHOSUNG = 'ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ';
+
+// 전각 문자(０-９, Ａ-Ｚ, 전각 공백 등)를 반각으로 바꿉니다.
+// NFKC는 초성(ㄱ)까지 조합용 자모로 바꿔버리므로 쓰지 않습니다.
+function toHalfWidth(text) {
+  return String(text)
+    .replace(/[\uFF01-\uFF5E]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0))
+    .replace(/\u3000/g, ' ');
+}
+
+// 비교용 이름: 반각, 공백 제거, 소문자
+function normalizeItemName(name) {
+  return toHalfWidth(name).replace(/\s+/g, '').toLowerCase();
+}
+
+// "매쉬드 포테이토" -> "ㅁㅅㄷㅍㅌㅇㅌ" (한글 음절이 아닌 글자는 그대로)
+function getChosung(text) {
+  return [...text].map(ch => {
+    const code = ch.charCodeAt(0) - 0xAC00;
+    return code >= 0 && code < 11172 ? HANGUL_CHOSUNG[Math.floor(code / 588)] : ch;
+  }).join('');
+}
+
+function isChosungQuery(text) {
+  return /^[ㄱ-ㅎ]+$/.test(text);
+}
+
+function getEditDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = current;
+  }
+  return prev[b.length];
+}
+
+// 입력한 이름을 레시피 목록과 맞춰봅니다.
+// status: exact(그대로 일치), normalized(공백/전각 차이만 있음), suggested(초성·오타 추정), not_found
+function matchItemName(query, names = Object.keys(appData.recipes || {})) {
+  const key = normalizeItemName(query);
+  if (!key) return { query: query, name: '', status: 'not_found', candidates: [] };
+
+  const exact = names.find(name => normalizeItemName(name) === key);
+  if (exact) {
+    return { query: query, name: exact, status: exact === query.trim() ? 'exact' : 'normalized', candidates: [exact] };
+  }
+
+  let scored;
+  if (isChosungQuery(key)) {
+    scored = names
+      .map(name => ({ name: name, chosung: getChosung(normalizeItemName(name)) }))
+      .filter(entry => entry.chosung.includes(key))
+      .map(entry => ({ name: entry.name, score: entry.chosung.length - key.length + (entry.chosung.startsWith(key) ? 0 : 1) }));
+  } else {
+    // 오타는 이름 길이의 1/3까지 허용하고(세 글자 이상일 때), 이름 일부만 입력한 경우도 후보로 봅니다.
+    const limit = Math.floor(key.length / 3);
+    scored = names.map(name => {
+      const nameKey = normalizeItemName(name);
+      const distance = getEditDistance(key, nameKey);
+      const partial = nameKey.includes(key) || key.includes(nameKey);
+      return { name: name, score: partial ? Math.min(distance, limit) : distance, partial: partial };
+    }).filter(entry => entry.partial || (limit > 0 && entry.score <= limit));
+  }
+
+  const candidates = scored
+    .sort((a, b) => a.score - b.score || a.name.length - b.name.length)
+    .slice(0, 5)
+    .map(entry => entry.name);
+  return { query: query, name: candidates[0] || '', status: candidates.length > 0 ? 'suggested' : 'not_found', candidates: candidates };
+}
+
+// 한 항목: "이름 보상 [방식]"
+// 보상 앞에는 공백 외에 :, =, -, ×, x 를 쓸 수 있고 뒤에는 냥/냥코인/코인을 붙일 수 있습니다. (게임 납품 목록 복사 형식)
+// 방식은 "10회", "(10회)", "@10" 처럼 맨 끝에 적습니다. 보상에 쓴 천 단위 쉼표(1,200)는 구분자로 보지 않습니다.
+function parseImportText(text) {
+  return toHalfWidth(text)
+    .split(/\r?\n|;|,(?!\d{3}(?!\d))/)
+    .map(part => part.replace(/\s+/g, ' ').trim())
+    .filter(part => part)
+    .map(part => {
+      let rest = part;
+      let mode = 'default';
+      const modeMatch = rest.match(/\s*(?:@\s*(\d+)|\(\s*(\d+)\s*회\s*\)|(\d+)\s*회)$/);
+      if (modeMatch) {
+        mode = modeMatch[1] || modeMatch[2] || modeMatch[3];
+        rest = rest.slice(0, modeMatch.index);
+      }
+      const rewardMatch = rest.match(/^(.+?)(?:\s*[:=-]\s*|\s+[x×]\s*|\s*×\s*|\s+|(?<=[가-힣]))(\d[\d,]*)\s*(?:냥코인|냥|코인)?$/);
+      const name = rewardMatch ? rewardMatch[1].trim() : rest.trim();
+      const reward = rewardMatch ? rewardMatch[2].replace(/,/g, '') : '';
+      const issues = [];
+      if (!reward) issues.push('보상 없음');
+      if (mode !== 'default' && !getDeliveryMilestones().includes(parseInt(mode, 10))) {
+        issues.push(`${mode}회는 공식 납품 단계가 아님`);
+        mode = 'default';
+      }
+      return { raw: part, match: matchItemName(name), reward: reward, mode: mode, issues: issues };
+    });
+}
+
+// 그대로 적용해도 되는 항목인지 (이름이 확실하고 보상과 방식에 문제가 없음)
+function isImportEntryConfirmed(entry) {
+  return (entry.match.status === 'exact' || entry.match.status === 'normalized') && entry.issues.length === 0;
+}
+
+// 슬롯 상한을 넘는 항목은 채우지 못하므로 건너뛴 항목 수를 돌려줍니다.
+function applyImportEntries(entries) {
+  // 항목이 슬롯보다 많으면 슬롯을 늘리고, 기존 슬롯은 비운 뒤 채웁니다.
+  setSlotCount(Math.max(getSlotIds().length, entries.length));
+  getSlotIds().forEach((i, index) => {
+    const entry = entries[index] || { name: '', reward: '', mode: 'default' };
+    const nameInput = document.getElementById(`name-${i}`);
+    const rewardInput = document.getElementById(`reward-${i}`);
+    const modeSelect = document.getElementById(`mode-${i}`);
+    const deliveredInput = document.getElementById(`delivered-${i}`);
+    if (!nameInput || !rewardInput || !modeSelect) return;
+    nameInput.value = entry.name;
+    rewardInput.value = entry.reward;
+    modeSelect.value = entry.mode;
+    if (deliveredInput) deliveredInput.value = '';
+    updateSlotModeOptions(i);
+  });
+  recalculateAllSlots();
+  return Math.max(0, entries.length - MAX_SLOT_COUNT);
+}
+
+function describeSkippedImport(skipped) {
+  return skipped > 0 ? ` 슬롯은 최대 ${MAX_SLOT_COUNT}개이므로 뒤의 ${skipped}개 항목은 건너뛰었습니다.` : '';
+}
+
+// 확인이 필요한 항목이 있으면 추천 후보를 고를 수 있는 목록을 보여줍니다.
+function renderImportPreview(entries) {
+  const preview = document.getElementById('import-preview');
+  if (!preview) return;
+  const statusBadges = {
+    exact: '<span class="badge good">일치</span>',
+    normalized: '<span class="badge good">공백/전각 보정</span>',
+    suggested: '<span class="badge info">추천 후보</span>',
+    not_found: '<span class="badge bad">찾을 수 없음</span>'
+  };
+  const modeOptions = ['default', ...[...getDeliveryMilestones()].reverse()];
+
+  preview.innerHTML = `
+    <p>확인이 필요한 항목이 있습니다. 품목을 고르거나 고친 뒤 적용하세요. (품목을 비우면 건너뜁니다)</p>
+    ${entries.length > MAX_SLOT_COUNT ? `<p><span class="badge bad">${entries.length}개 항목</span> 슬롯은 최대 ${MAX_SLOT_COUNT}개이므로 품목이 있는 앞의 ${MAX_SLOT_COUNT}개만 적용됩니다.</p>` : ''}
+    <table class="import-table">
+      <thead><tr><th>입력</th><th>품목</th><th>보상</th><th>방식</th><th>상태</th></tr></thead>
+      <tbody>
+        ${entries.map((entry, index) => `
+          <tr class="${isImportEntryConfirmed(entry) ? '' : 'needs-check'}" data-index="${index}">
+            <td class="import-raw"></td>
+            <td>${entry.match.candidates.length > 1
+              ? `<select class="select-box import-name">
+                  ${entry.match.candidates.map(name => `<option value="${name}">${name}</option>`).join('')}
+                  <option value="">(건너뛰기)</option>
+                </select>`
+              : `<input type="text" list="itemList" class="input import-name">`}</td>
+            <td><input type="number" class="input import-reward"></td>
+            <td><select class="select-box import-mode">
+              ${modeOptions.map(m => `<option value="${m}">${m === 'default' ? '추천' : `${m}회`}</option>`).join('')}
+            </select></td>
+            <td>${statusBadges[entry.match.status]}${entry.issues.map(issue => ` <span class="badge bad">${issue}</span>`).join('')}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>
+    <div class="btn-group">
+      <button type="button" id="importApplyBtn" class="btn">적용</button>
+      <button type="button" id="importCancelBtn" class="btn btn-secondary">취소</button>
+    </div>
+  `;
+
+  // 붙여넣은 원문은 HTML로 해석하지 않도록 값으로 넣습니다.
+  preview.querySelectorAll('tbody tr').forEach(row => {
+    const entry = entries[row.dataset.index];
+    row.querySelector('.import-raw').textContent = entry.raw;
+    row.querySelector('.import-name').value = entry.match.name;
+    row.querySelector('.import-reward').value = entry.reward;
+    row.querySelector('.import-mode').value = entry.mode;
+  });
+
+  preview.querySelector('#importApplyBtn').addEventListener('click', () => {
+    const confirmed = [...preview.querySelectorAll('tbody tr')]
+      .map(row => ({
+        name: row.querySelector('.import-name').value.trim(),
+        reward: row.querySelector('.import-reward').value,
+        mode: row.querySelector('.import-mode').value
+      }))
+      .filter(entry => entry.name);
+    preview.innerHTML = '';
+    const skipped = applyImportEntries(confirmed);
+    console.log(`${confirmed.length - skipped}개 항목을 붙여넣고 재계산했습니다.` + describeSkippedImport(skipped));
+  });
+  preview.querySelector('#importCancelBtn').addEventListener('click', () => {
+    preview.innerHTML = '';
+  });
+}
+
+// --- 스태미나 회복 및 제작 일정 ---
+function loadPlayer() {
+  const saved = readStoredJson('overfield_player', null);
+  if (saved) {
+    player = {
+      maxStamina: parseFloat(saved.maxStamina) || 0,
+      regenPerHour: parseFloat(saved.regenPerHour) || 0,
+      wlbPerDay: parseFloat(saved.wlbPerDay) || 0
+    };
+  }
+}
+
+function savePlayer() {
+  writeStoredJson('overfield_player', player);
+}
+
+// 3.5시간 -> "3시간 30분", 50시간 -> "2일 2시간"
+function formatStaminaTime(hours) {
+  const totalMinutes = Math.ceil(hours * 60);
+  const days = Math.floor(totalMinutes / 1440);
+  const hoursPart = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  if (days > 0) return `${days}일 ${hoursPart}시간`;
+  if (hoursPart > 0) return minutes > 0 ? `${hoursPart}시간 ${minutes}분` : `${hoursPart}시간`;
+  return `${minutes}분`;
+}
+
+// 소모 스태미나 옆에 붙이는 회복 시간 (플레이어 설정이 없으면 빈 문자열)
+// 중간재료 스태미나 미포함 설정은 원가 계산용이므로, 시간은 중간재료까지 실제 제작 스태미나로 계산합니다.
+function renderStaminaTime(res) {
+  if (!(getStaminaHourlyRate(player) > 0)) return '';
+  const bom = buildBillOfMaterials([{ name: res.itemName, quantity: res.totalItems }], getConservationLevel());
+  const time = getStaminaTime(bom.craftingStamina, player);
+  return ` <small>(실제 ${bom.craftingStamina.toLocaleString()} · 회복 ${formatStaminaTime(time.hours)})</small>`;
+}
+
+function updateStaminaPlan(bom) {
+  const planEl = document.getElementById('stamina-plan');
+  const timeEl = document.getElementById('total-stamina-time');
+  const time = getStaminaTime(bom.craftingStamina, player);
+  if (timeEl) timeEl.textContent = time ? formatStaminaTime(time.hours) : '-';
+  if (!planEl) return;
+
+  if (bom.craftOrder.length === 0) {
+    planEl.innerHTML = '<p class="bom-empty">제작할 품목이 없습니다.</p>';
+    return;
+  }
+  const schedule = buildCraftSchedule(bom, player);
+  if (schedule.error) {
+    planEl.innerHTML = '<p class="bom-empty">최대 스태미나와 시간당 회복량을 입력하면 날짜별 제작 일정을 만듭니다.</p>';
+    return;
+  }
+
+  const oversizedHtml = schedule.oversized.length > 0
+    ? `<p class="bom-empty"><span class="badge bad">주의</span> 최대 스태미나보다 많이 드는 제작: ${schedule.oversized.join(', ')}</p>`
+    : '';
+  const refillCount = schedule.days.reduce((sum, day) => sum + day.refills.length, 0);
+  planEl.innerHTML = `
+    ${oversizedHtml}
+    <div class="stat-row"><span>실제 제작 스태미나 (중간재료 포함):</span> <b>${bom.craftingStamina.toLocaleString()}</b></div>
+    <div class="stat-row"><span>예상 소요 시간:</span> <b>${formatStaminaTime(time.hours)}</b></div>
+    <div class="stat-row"><span>필요한 충전 횟수:</span> <span>${refillCount}회 (최대 ${player.maxStamina.toLocaleString()})</span></div>
+    ${schedule.days.map(day => `
+      <h4>${day.day}일차 <small>(스태미나 ${day.stamina.toLocaleString()})</small></h4>
+      ${day.refills.map(refill => `
+        <div class="stat-row"><span>${refill.refill}번째 충전 <small>(${refill.stamina.toLocaleString()})</small></span>
+          <span>${refill.crafts.map(c => `${c.name} ${c.count}회`).join(', ')}</span></div>
+      `).join('')}
+    `).join('')}
+  `;
+}
+
+function initStaminaPlan() {
+  const inputs = { maxStamina: 'maxStamina', regenPerHour: 'staminaRegen', wlbPerDay: 'wlbStaminaPerDay' };
+  loadPlayer();
+  Object.entries(inputs).forEach(([key, id]) => {
+    const input = document.getElementById(id);
+    if (!input) return;
+    if (player[key]) input.value = player[key];
+    if (!markListenerAdded(input)) return;
+    input.addEventListener('input', debounce(() => {
+      player[key] = parseFloat(input.value) || 0;
+      savePlayer();
+      recalculateAllSlots(); // 슬롯별 회복 시간과 일정 갱신
+    }, 300));
+  });
+}
+
+// --- 보유 재고 ---
+function loadInventory() {
+  const saved = readStoredJson('overfield_inventory', null);
+  if (saved && saved.items) {
+    inventory = { items: saved.items, valuation: saved.valuation === 'shop' ? 'shop' : 'zero' };
+  }
+}
+
+function saveInventory() {
+  writeStoredJson('overfield_inventory', inventory);
+}
+
+function hasInventory() {
+  return Object.keys(inventory.items).length > 0;
+}
+
+function renderInventoryList() {
+  const listEl = document.getElementById('inventory-list');
+  if (!listEl) return;
+  listEl.innerHTML = '';
+
+  const names = Object.keys(inventory.items).sort();
+  if (names.length === 0) {
+    listEl.innerHTML = '<p class="bom-empty">등록된 재고가 없습니다.</p>';
+    return;
+  }
+
+  names.forEach(name => {
+    const div = document.createElement('div');
+    div.className = 'inventory-item';
+    div.innerHTML = `
+      <span>${escapeHtml(name)}</span>
+      <input type="number" class="input" min="0" value="${escapeHtml(inventory.items[name])}">
+      <button class="btn btn-sm">삭제</button>
+    `;
+    div.querySelector('input').addEventListener('change', (e) => {
+      const qty = parseInt(e.target.value, 10);
+      if (qty > 0) inventory.items[name] = qty;
+      else delete inventory.items[name];
+      saveInventory();
+      renderInventoryList();
+      updateTotalSummary();
+    });
+    div.querySelector('button').addEventListener('click', () => {
+      delete inventory.items[name];
+      saveInventory();
+      renderInventoryList();
+      updateTotalSummary();
+    });
+    listEl.appendChild(div);
+  });
+}
+
+function initInventory() {
+  const nameInput = document.getElementById('inventoryName');
+  const qtyInput = document.getElementById('inventoryQty');
+  const addButton = document.getElementById('addInventoryBtn');
+  const valuationSelect = document.getElementById('inventoryValuation');
+  if (!nameInput || !qtyInput || !addButton || !valuationSelect) return;
+
+  loadInventory();
+  valuationSelect.value = inventory.valuation;
+  renderInventoryList();
+  if (!markListenerAdded(addButton)) return;
+
+  addButton.addEventListener('click', () => {
+    const name = nameInput.value.trim();
+    const qty = parseInt(qtyInput.value, 10);
+    if (!name || !(qty > 0)) return;
+    inventory.items[name] = (inventory.items[name] || 0) + qty;
+    saveInventory();
+    renderInventoryList();
+    updateTotalSummary();
+    nameInput.value = '';
+    qtyInput.value = '';
+  });
+  qtyInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addButton.click();
+  });
+
+  valuationSelect.addEventListener('change', () => {
+    inventory.valuation = valuationSelect.value;
+    saveInventory();
+    updateTotalSummary();
+  });
+
+  // 재고에는 기초 재료와 중간재료 모두 등록할 수 있습니다.
+  nameInput.addEventListener('focus', () => {
+    const datalist = document.getElementById('inventoryItemList');
+    datalist.innerHTML = '';
+    const names = new Set([...Object.keys(appData.materials || {}), ...Object.keys(appData.recipes || {})]);
+    [...names].sort().forEach(item => {
+      const opt = document.createElement('option');
+      opt.value = item;
+      datalist.appendChild(opt);
+    });
+  });
+}
+
+// --- 보드 저장 (자동 저장, 이름 붙여 저장, 납품 기록) ---
+const BOARD_SETTING_IDS = ['efficiencyLimit', 'conservationLevel', 'wlbLevel', 'staminaCost', 'staminaReference'];
+const BOARD_HISTORY_LIMIT = 100;
+
+function readStoredJson(key, fallback) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key));
+    return saved !== null ? saved : fallback;
+  } catch (e) {
+    console.warn(`저장된 데이터(${key})를 불러오지 못했습니다:`, e);
+    return fallback;
+  }
+}
+
+// 저장 공간이 가득 찼거나 막혀 있어도 화면 동작은 계속되도록 실패를 경고로만 남깁니다.
+function writeStoredJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (e) {
+    console.warn(`데이터(${key})를 저장하지 못했습니다:`, e);
+    return false;
+  }
+}
+
+function removeStoredItem(key) {
+  try {
+    localStorage.removeItem(key);
+  } catch (e) {
+    console.warn(`저장된 데이터(${key})를 지우지 못했습니다:`, e);
+  }
+}
+
+// 현재 화면의 설정 입력값과 슬롯 입력값
+function getBoardState() {
+  const settings = {};
+  BOARD_SETTING_IDS.forEach(id => {
+    const el = document.getElementById(id);
+    if (el) settings[id] = el.value;
+  });
+  const ignoreInput = document.getElementById('ignoreIntermediateStamina');
+  if (ignoreInput) settings.ignoreIntermediateStamina = ignoreInput.checked;
+
+  const slots = [];
+  getSlotIds().forEach(i => {
+    const nameInput = document.getElementById(`name-${i}`);
+    const rewardInput = document.getElementById(`reward-${i}`);
+    const modeSelect = document.getElementById(`mode-${i}`);
+    const deliveredInput = document.getElementById(`delivered-${i}`);
+    if (!nameInput || !rewardInput || !modeSelect) return;
+    slots.push({
+      name: nameInput.value,
+      reward: rewardInput.value,
+      mode: modeSelect.value,
+      delivered: deliveredInput ? deliveredInput.value : ''
+    });
+  });
+  return { settings: settings, slots: slots };
+}
+
+// 저장된 보드를 화면에 채우고 다시 계산합니다.
+function applyBoardState(state) {
+  if (!state || typeof state !== 'object') return;
+  const settings = state.settings && typeof state.settings === 'object' ? state.settings : {};
+  BOARD_SETTING_IDS.forEach(id => {
+    const el = document.getElementById(id);
+    if (!el || settings[id] === undefined) return;
+    const previous = el.value;
+    el.value = settings[id];
+    // 데이터에서 사라진 기준 레시피는 선택할 수 없으므로 이전 값을 유지합니다.
+    if (el.tagName === 'SELECT' && el.value === '') el.value = previous;
+  });
+  const ignoreInput = document.getElementById('ignoreIntermediateStamina');
+  if (ignoreInput && settings.ignoreIntermediateStamina !== undefined) {
+    ignoreInput.checked = settings.ignoreIntermediateStamina;
+  }
+
+  // 저장된 보드가 손상되었으면 빈 슬롯으로 취급하고, 슬롯 수는 상한까지만 복원합니다.
+  const savedSlots = Array.isArray(state.slots)
+    ? state.slots.slice(0, MAX_SLOT_COUNT).map(slot => (slot && typeof slot === 'object' ? slot : {}))
+    : [];
+  setSlotCount(Math.max(savedSlots.length, 1));
+  getSlotIds().forEach((i, index) => {
+    const nameInput = document.getElementById(`name-${i}`);
+    const rewardInput = document.getElementById(`reward-${i}`);
+    const modeSelect = document.getElementById(`mode-${i}`);
+    const deliveredInput = document.getElementById(`delivered-${i}`);
+    if (!nameInput || !rewardInput || !modeSelect) return;
+    const slot = savedSlots[index] || {};
+    nameInput.value = slot.name || '';
+    rewardInput.value = slot.reward || '';
+    if (deliveredInput) deliveredInput.value = slot.delivered || '';
+    updateSlotModeOptions(i);
+    modeSelect.value = slot.mode || 'default';
+    if (modeSelect.value === '') modeSelect.value = 'default'; // 납품 단계가 바뀌어 없는 계산 방식
+  });
+
+  if (updateSettingsFromInputs) updateSettingsFromInputs();
+  else recalculateAllSlots();
+}
+
+function autosaveBoard() {
+  if (!boardAutosaveReady) return;
+  const state = getBoardState();
+  writeStoredJson('overfield_board', state);
+  // 주소창의 링크도 항상 현재 보드를 가리키도록 갱신합니다. (hashchange는 발생하지 않음)
+  try {
+    history.replaceState(null, '', `#b=${encodeBoardState(state)}`);
+  } catch (e) {
+    console.warn("주소 갱신 실패:", e);
+  }
+}
+
+// 공유 링크용 보드 압축: [버전, 설정값 배열, 중간재료 스태미나 미포함, 슬롯 배열, 슬롯 개수] → JSON → UTF-8 → base64url
+const BOARD_LINK_VERSION = 1;
+
+function encodeBoardState(state) {
+  const values = BOARD_SETTING_IDS.map(id => state.settings[id] !== undefined ? state.settings[id] : '');
+  const slots = state.slots.map(slot => [slot.name, slot.reward, slot.mode === 'default' ? '' : slot.mode, slot.delivered || '']);
+  while (slots.length > 0 && slots[slots.length - 1].every(v => !v)) slots.pop(); // 뒤쪽 빈 슬롯 생략
+  const packed = [BOARD_LINK_VERSION, values, state.settings.ignoreIntermediateStamina ? 1 : 0, slots, state.slots.length];
+
+  let binary = '';
+  new TextEncoder().encode(JSON.stringify(packed)).forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBoardState(encoded) {
+  try {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const packed = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+    if (!Array.isArray(packed) || packed[0] !== BOARD_LINK_VERSION) return null;
+
+    const [, values, ignoreIntermediateStamina, slots, slotCount] = packed;
+    // 직접 만든 링크일 수 있으므로 형태와 슬롯 수를 확인합니다.
+    if (!Array.isArray(values) || !Array.isArray(slots) || !slots.every(Array.isArray)) return null;
+    if (slots.length > MAX_SLOT_COUNT || !(Number.isInteger(slotCount) && slotCount >= 0 && slotCount <= MAX_SLOT_COUNT)) return null;
+    const settings = { ignoreIntermediateStamina: ignoreIntermediateStamina === 1 };
+    BOARD_SETTING_IDS.forEach((id, i) => {
+      if (values[i] !== undefined) settings[id] = values[i];
+    });
+    // 데이터에 없는 품목 이름은 버립니다. (링크에 심은 임의의 문자열이 화면에 그대로 쓰이지 않도록)
+    const knownName = (name) => typeof name === 'string' && getRecipeVariants(name).length > 0 ? name : '';
+    const decodedSlots = slots.map(([name, reward, mode, delivered]) => ({
+      name: knownName(name), reward: reward, mode: mode || 'default', delivered: delivered || ''
+    }));
+    while (decodedSlots.length < slotCount) decodedSlots.push({ name: '', reward: '', mode: 'default', delivered: '' }); // 생략된 빈 슬롯
+    return { settings: settings, slots: decodedSlots };
+  } catch (e) {
+    console.warn("공유 링크를 해석하지 못했습니다:", e);
+    return null;
+  }
+}
+
+// 주소의 #b=... 에 담긴 보드 (없거나 잘못되면 null)
+function getLinkedBoardState() {
+  return location.hash.startsWith('#b=') ? decodeBoardState(location.hash.slice(3)) : null;
+}
+
+function getBoardLink() {
+  return `${location.href.split('#')[0]}#b=${encodeBoardState(getBoardState())}`;
+}
+
+// 보드에 입력된 품목 이름 요약
+function describeBoard(state) {
+  const names = (state.slots || []).map(slot => slot.name).filter(Boolean);
+  return names.length > 0 ? names.join(', ') : '빈 보드';
+}
+
+function formatSavedDate(isoString) {
+  return new Date(isoString).toLocaleString('ko-KR', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+function renderSavedBoards() {
+  const listEl = document.getElementById('saved-boards');
+  if (!listEl) return;
+  listEl.innerHTML = '';
+
+  const boards = readStoredJson('overfield_saved_boards', {});
+  const names = Object.keys(boards).sort();
+  if (names.length === 0) {
+    listEl.innerHTML = '<p class="bom-empty">저장된 보드가 없습니다.</p>';
+    return;
+  }
+
+  names.forEach(name => {
+    const div = document.createElement('div');
+    div.className = 'board-item';
+    div.innerHTML = `
+      <span><b>${escapeHtml(name)}</b><small>${formatSavedDate(boards[name].savedAt)} · ${escapeHtml(describeBoard(boards[name].state))}</small></span>
+      <button class="btn btn-sm btn-load">불러오기</button>
+      <button class="btn btn-sm">삭제</button>
+    `;
+    const [loadButton, deleteButton] = div.querySelectorAll('button');
+    loadButton.addEventListener('click', () => applyBoardState(boards[name].state));
+    deleteButton.addEventListener('click', () => {
+      delete boards[name];
+      writeStoredJson('overfield_saved_boards', boards);
+      renderSavedBoards();
+    });
+    listEl.appendChild(div);
+  });
+}
+
+function renderBoardHistory() {
+  const listEl = document.getElementById('board-history');
+  if (!listEl) return;
+  listEl.innerHTML = '';
+
+  const history = readStoredJson('overfield_board_history', []);
+  if (history.length === 0) {
+    listEl.innerHTML = '<p class="bom-empty">기록이 없습니다.</p>';
+    return;
+  }
+
+  history.forEach((entry, index) => {
+    const { totals } = entry;
+    const div = document.createElement('div');
+    div.className = 'board-item';
+    div.innerHTML = `
+      <span>
+        <b>${formatSavedDate(entry.date)}</b><small>${escapeHtml(describeBoard(entry.state))}</small>
+        <small>코인 ${totals.coin.toLocaleString()} · 스태미나 ${totals.stamina.toLocaleString()} · <span class="profit">${totals.nyan.toLocaleString()}냥</span> · 교환비 ${totals.ratio !== null ? totals.ratio.toFixed(3) : 0}</small>
+      </span>
+      <button class="btn btn-sm btn-load">불러오기</button>
+      <button class="btn btn-sm">삭제</button>
+    `;
+    const [loadButton, deleteButton] = div.querySelectorAll('button');
+    loadButton.addEventListener('click', () => applyBoardState(entry.state));
+    deleteButton.addEventListener('click', () => {
+      history.splice(index, 1);
+      writeStoredJson('overfield_board_history', history);
+      renderBoardHistory();
+    });
+    listEl.appendChild(div);
+  });
+}
+
+let pendingOwnBoard = null; // 공유 링크의 보드를 보는 동안 보관하는 내 보드
+
+function hasBoardItems(state) {
+  return !!state && Array.isArray(state.slots) && state.slots.some(slot => slot && slot.name);
+}
+
+function isSameBoard(a, b) {
+  try {
+    return encodeBoardState(a) === encodeBoardState(b);
+  } catch (e) {
+    return false; // 손상된 저장본은 다른 보드로 취급
+  }
+}
+
+// 공유 링크의 보드를 보여줍니다. 내 보드와 다르면 "이 보드 사용"을 누를 때까지 자동 저장을 멈춰 내 보드를 지킵니다.
+function openLinkedBoard(linked, ownBoard) {
+  const own = pendingOwnBoard || ownBoard;
+  boardAutosaveReady = false;
+  applyBoardState(linked);
+  if (hasBoardItems(own) && !isSameBoard(own, linked)) {
+    pendingOwnBoard = own;
+    renderLinkedBoardBanner();
+  } else {
+    finishLinkedBoard();
+  }
+}
+
+function finishLinkedBoard() {
+  pendingOwnBoard = null;
+  const banner = document.getElementById('linked-board-banner');
+  if (banner) banner.style.display = 'none';
+  boardAutosaveReady = true;
+  autosaveBoard();
+}
+
+function renderLinkedBoardBanner() {
+  const banner = document.getElementById('linked-board-banner');
+  if (!banner) return;
+  banner.style.display = '';
+  banner.innerHTML = `
+    <p><b>공유 링크의 보드를 보고 있습니다.</b> 내 보드(${escapeHtml(describeBoard(pendingOwnBoard))})는 그대로 저장되어 있고, 이 보드를 사용하기 전에는 자동 저장하지 않습니다.</p>
+    <div class="btn-group">
+      <button class="btn" id="useLinkedBoardBtn">이 보드 사용</button>
+      <button class="btn btn-secondary" id="restoreOwnBoardBtn">내 보드로 돌아가기</button>
+    </div>
+  `;
+  banner.querySelector('#useLinkedBoardBtn').addEventListener('click', finishLinkedBoard);
+  banner.querySelector('#restoreOwnBoardBtn').addEventListener('click', () => {
+    applyBoardState(pendingOwnBoard); // 자동 저장이 멈춘 상태에서 되돌린 뒤 다시 시작합니다.
+    finishLinkedBoard();
+  });
+}
+
+function initBoards() {
+  // 공유 링크로 열었으면 링크의 보드를, 아니면 마지막으로 작업하던 보드를 복원한 뒤부터 자동 저장합니다.
+  const linked = getLinkedBoardState();
+  const autosaved = readStoredJson('overfield_board', null);
+  if (linked) {
+    openLinkedBoard(linked, autosaved);
+  } else {
+    if (autosaved) applyBoardState(autosaved);
+    boardAutosaveReady = true;
+  }
+
+  renderSavedBoards();
+  renderBoardHistory();
+
+  const nameInput = document.getElementById('boardName');
+  const saveButton = document.getElementById('saveBoardBtn');
+  const recordButton = document.getElementById('recordHistoryBtn');
+  if (!nameInput || !recordButton || !markListenerAdded(saveButton)) return;
+
+  // 이미 열린 페이지에 다른 공유 링크를 붙여넣은 경우
+  window.addEventListener('hashchange', () => {
+    const state = getLinkedBoardState();
+    if (state) openLinkedBoard(state, getBoardState());
+  });
+
+  saveButton.addEventListener('click', () => {
+    const name = nameInput.value.trim();
+    if (!name) return;
+    const boards = readStoredJson('overfield_saved_boards', {});
+    boards[name] = { savedAt: new Date().toISOString(), state: getBoardState() };
+    if (!writeStoredJson('overfield_saved_boards', boards)) return;
+    nameInput.value = '';
+    renderSavedBoards();
+  });
+  nameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveButton.click();
+  });
+
+  // 현재 보드와 종합 효율 요약을 날짜와 함께 기록합니다. (최신 기록이 위)
+  recordButton.addEventListener('click', () => {
+    const { coin, stamina, nyan, ratio } = getBoardTotals();
+    const history = readStoredJson('overfield_board_history', []);
+    history.unshift({
+      date: new Date().toISOString(),
+      state: getBoardState(),
+      totals: { coin: coin, stamina: stamina, nyan: nyan, ratio: ratio }
+    });
+    writeStoredJson('overfield_board_history', history.slice(0, BOARD_HISTORY_LIMIT));
+    renderBoardHistory();
+  });
+}
+
+// --- 최소 보상 목록 ---
+let catalogSort = { key: 'name', asc: true };
+
+// 모든 레시피의 단계별 최소 보상을 정렬 가능한 표로 보여줍니다.
+function renderRewardCatalog() {
+  const container = document.getElementById('reward-catalog');
+  if (!container) return;
+  const filterInput = document.getElementById('catalogFilter');
+  const filter = filterInput ? filterInput.value.trim() : '';
+  const milestones = [...getDeliveryMilestones()].reverse();
+
+  const rows = Object.keys(appData.recipes || {}).map(name => {
+    const recipe = getRecipeVariants(name)[0];
+    const row = { name: name, category: recipe.category || '', unitCost: null, rewards: {} };
+    const minimumRewards = getMinimumRewards(name);
+    if (!minimumRewards.error) {
+      row.unitCost = minimumRewards.unitCost;
+      minimumRewards.milestones.forEach(m => { row.rewards[m.round] = m.minReward; });
+    }
+    return row;
+  }).filter(row => !filter || row.name.includes(filter) || row.category.includes(filter));
+
+  const sortValue = (row) => {
+    if (catalogSort.key === 'name' || catalogSort.key === 'category') return row[catalogSort.key];
+    if (catalogSort.key === 'unitCost') return row.unitCost;
+    return row.rewards[catalogSort.key];
+  };
+  rows.sort((a, b) => {
+    const va = sortValue(a);
+    const vb = sortValue(b);
+    // 계산할 수 없는 품목은 정렬 방향과 관계없이 맨 뒤에 둡니다.
+    if (va === null || va === undefined) return 1;
+    if (vb === null || vb === undefined) return -1;
+    const cmp = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+    return catalogSort.asc ? cmp : -cmp;
+  });
+
+  const header = (key, label) => {
+    const arrow = catalogSort.key === String(key) ? (catalogSort.asc ? ' ▲' : ' ▼') : '';
+    return `<th data-sort="${key}">${label}${arrow}</th>`;
+  };
+  const body = rows.map(row => `
+    <tr>
+      <td>${row.name}</td>
+      <td>${row.category}</td>
+      <td>${row.unitCost === null ? '계산 불가' : row.unitCost.toFixed(1)}</td>
+      ${milestones.map(m => `<td>${row.rewards[m] !== undefined ? row.rewards[m].toLocaleString() : '-'}</td>`).join('')}
+    </tr>`).join('');
+
+  container.innerHTML = `
+    <table class="catalog-table">
+      <thead><tr>
+        ${header('name', '품목')}${header('category', '카테고리')}${header('unitCost', '단가')}
+        ${milestones.map(m => header(m, `${m}회`)).join('')}
+      </tr></thead>
+      <tbody>${body}</tbody>
+    </table>
+  `;
+}
+
+function initRewardCatalog() {
+  const container = document.getElementById('reward-catalog');
+  const filterInput = document.getElementById('catalogFilter');
+  if (!filterInput || !markListenerAdded(container)) return;
+
+  // 열 제목을 누르면 해당 열로 정렬하고, 다시 누르면 방향을 바꿉니다.
+  container.addEventListener('click', (e) => {
+    const th = e.target.closest('th[data-sort]');
+    if (!th) return;
+    const key = th.dataset.sort;
+    catalogSort = catalogSort.key === key ? { key: key, asc: !catalogSort.asc } : { key: key, asc: true };
+    renderRewardCatalog();
+  });
+  filterInput.addEventListener('input', debounce(renderRewardCatalog, 300));
+}
+
+function updateDataList() {
+  const datalist = document.getElementById('itemList');
+  datalist.innerHTML = '';
+  if (!appData.recipes) return; // Guard against missing data
+
+  const allItems = appData.recipes ? Object.keys(appData.recipes) : [];
+  
+  allItems.sort().forEach(item => {
+    const opt = document.createElement('option');
+    opt.value = item;
+    datalist.appendChild(opt);
+  });
+}
+
+function renderResult(el, res, recipeInfo) {
+  el.className = 'result-box active';
+  let categoryHtml = '';
+  if (recipeInfo && recipeInfo.recipe && recipeInfo.recipe.category) {
+    categoryHtml = `<div class="stat-row"><span>카테고리:</span> <span>${recipeInfo.recipe.category}</span></div>`;
+  }
+  if (res.breakdown && res.breakdown.alternativeCost !== undefined) {
+    const sourceText = res.breakdown.source === 'buy' ? '상점 구매' : '직접 제작';
+    categoryHtml += `<div class="stat-row"><span>조달 방법:</span> <span>${sourceText} (더 저렴)</span></div>`;
+  }
+  if (recipeInfo && recipeInfo.variantCount > 1 && !(res.breakdown && res.breakdown.source === 'buy')) {
+    categoryHtml += `<div class="stat-row"><span>선택 레시피:</span> <span>대안 ${recipeInfo.variantIndex + 1}/${recipeInfo.variantCount} (${describeRecipe(recipeInfo.recipe)})</span></div>`;
+  }
+
+  if (res.error) {
+    let errorMessage = "알 수 없는 오류 발생";
+    switch (res.error) {
+      case "item_not_found":
+        errorMessage = `<b>"${escapeHtml(res.itemName)}"</b>(이)라는 품목을 찾을 수 없습니다. 철자를 확인하거나 데이터 관리자에서 추가해주세요.`;
+        break;
+      case "material_price_missing":
+        errorMessage = `재료 <b>"${escapeHtml(res.materialName)}"</b>의 가격 정보가 없습니다. 데이터 관리자에서 가격을 설정해주세요.`;
+        break;
+      case "circular_dependency":
+        errorMessage = `<b>"${escapeHtml(res.itemName)}"</b>에 순환 참조가 있습니다. 레시피를 확인해주세요.`;
+        break;
+      case "generic_cost_error":
+        errorMessage = `원가 계산 중 오류가 발생했습니다.`;
+        break;
+      case "milestone_already_reached":
+        errorMessage = `이미 ${res.delivered}회 납품하여 ${res.round}회 단계는 지났습니다. 다른 계산 방식을 선택해주세요.`;
+        break;
+      default:
+        errorMessage = `오류: ${res.error}`;
+    }
+    el.innerHTML = `<span class="badge bad">오류 발생</span><p>${errorMessage}</p>`;
+    return;
+  }
+
+  // 이미 납품한 회차가 있으면 남은 회차 기준으로 표시
+  const delivered = res.delivered || 0;
+  if (delivered > 0 && res.round > delivered) {
+    categoryHtml += `<div class="stat-row"><span>진행 상황:</span> <span>${delivered}회 완료 → ${res.round}회 (${res.round - delivered}회 남음)</span></div>`;
+  }
+  const remainingLabel = delivered > 0 ? '남은 ' : '';
+
+  const minimumRewards = getMinimumRewards(res.itemName, delivered);
+  const breakdownHtml = (res.breakdown ? renderCostBreakdown(res.breakdown) : '')
+    + (res.rounds && res.rounds.length > 0 ? renderRoundEfficiency(res) : '')
+    + (minimumRewards.error ? '' : `
+      <details class="minimum-rewards">
+        <summary>단계별 최소 보상 보기</summary>
+        ${renderMinimumRewardRows(minimumRewards, res.reward)}
+      </details>`);
+
+  // Handle 'default' mode (recommendation)
+  if (res.mode === 'default') {
+    if (!res.recommend) {
+      el.innerHTML = `
+        <span class="badge bad">납품 비추천</span>
+        ${categoryHtml}
+        <div class="stat-row"><span>품목 1개당 단가:</span> <span>${res.unitCost}</span></div>
+        <div class="stat-row"><span>${remainingLabel}필요 개수:</span> <b>${res.totalItems}개</b></div>
+        <div class="stat-row"><span>${remainingLabel}예상 수입:</span> <b class="profit">${res.totalProfit.toLocaleString()}냥</b></div>
+        <div class="stat-row"><span>소모 코인:</span> <span>${res.consumedCoin}</span></div>
+
+        <div class="stat-row"><span>소모 스태미나:</span> <span>${res.totalStamina}${renderStaminaTime(res)}</span></div>
+        <div class="stat-row"><span>납품 효율:</span> <span>${res.averageEfficiency}</span></div>
+        ${breakdownHtml}
+      `;
+      return;
+    }
+
+    let badgeClass = res.averageEfficiency >= 0.5 ? 'good' : 'warn'; // Use averageEfficiency for badge color logic
+    el.innerHTML = `
+      <span class="badge ${badgeClass}">${res.round}회 납품 추천</span>
+      ${categoryHtml}
+      <div class="stat-row"><span>품목 1개당 단가:</span> <span>${res.unitCost}</span></div>
+      <div class="stat-row"><span>${remainingLabel}필요 개수:</span> <b>${res.totalItems}개</b></div>
+      <div class="stat-row"><span>${remainingLabel}예상 수입:</span> <b class="profit">${res.totalProfit.toLocaleString()}냥</b></div>
+      <div class="stat-row"><span>소모 코인:</span> <span>${res.consumedCoin}</span></div>
+      <div class="stat-row"><span>소모 스태미나:</span> <span>${res.totalStamina}${renderStaminaTime(res)}</span></div>
+      <div class="stat-row"><span>납품 효율:</span> <span>${res.averageEfficiency}</span></div>
+      ${breakdownHtml}
+    `;
+  } else { // Handle fixed delivery simulation
+    const badgeText = `${res.round}회 납품 시뮬레이션`;
+    el.innerHTML = `
+      <span class="badge info">${badgeText}</span>
+      ${categoryHtml}
+      <div class="stat-row"><span>품목 1개당 단가:</span> <span>${res.unitCost}</span></div>
+      <div class="stat-row"><span>${remainingLabel}필요 개수:</span> <b>${res.totalItems}개</b></div>
+      <div class="stat-row"><span>${remainingLabel}예상 수입:</span> <b class="profit">${res.totalProfit.toLocaleString()}냥</b></div>
+      <div class="stat-row"><span>소모 코인:</span> <span>${res.consumedCoin}</span></div>
+      <div class="stat-row"><span>소모 스태미나:</span> <span>${res.totalStamina}${renderStaminaTime(res)}</span></div>
+      <div class="stat-row"><span>납품 효율:</span> <span>${res.averageEfficiency}</span></div>
+      ${breakdownHtml}
+    `;
+  }
+}
+
+// 단계별 최소 보상 목록 (reward가 주어지면 달성한 단계에 표시)
+function renderMinimumRewardRows(minimumRewards, reward) {
+  return minimumRewards.milestones.map(m => {
+    const reached = reward >= m.minReward ? ' <span class="badge good">달성</span>' : '';
+    return `<div class="stat-row"><span>${m.round}회 (${m.totalItems}개):</span> <span><b class="profit">${m.minReward.toLocaleString()}냥</b> 이상${reached}</span></div>`;
+  }).join('');
+}
+
+// 보상을 입력하지 않은 슬롯에는 역산 결과(단계별 최소 보상)를 보여줍니다.
+function renderMinimumRewards(el, itemName, delivered = 0) {
+  const minimumRewards = getMinimumRewards(itemName, delivered);
+  if (minimumRewards.error) {
+    // 입력 중인 이름일 수 있으므로 오류는 보상을 입력했을 때만 표시합니다.
+    el.className = 'result-box';
+    el.innerHTML = '';
+    return;
+  }
+  el.className = 'result-box active';
+  el.innerHTML = `
+    <span class="badge info">최소 보상 역산</span>
+    <div class="stat-row"><span>품목 1개당 단가:</span> <span>${minimumRewards.unitCost.toFixed(1)}</span></div>
+    <div class="stat-row"><span>마지노선 효율:</span> <span>${appData.settings.efficiency_limit}</span></div>
+    ${renderMinimumRewardRows(minimumRewards)}
+  `;
+}
+
+// 회차별 효율 그래프와 표 (마지노선 효율을 점선으로 표시)
+function renderRoundEfficiency(res) {
+  const limit = appData.settings.efficiency_limit || 0;
+  const rounds = res.rounds;
+  const chosenRound = res.recommend ? res.round : 0;
+
+  // 1회차 효율이 매우 높으면 나머지가 눌려 보이므로 세로축은 마지노선의 5배까지만 표시합니다.
+  const maxValue = Math.max(...rounds.map(r => Math.max(r.marginalEfficiency, r.averageEfficiency)));
+  const yMax = Math.max(Math.min(maxValue, limit * 5), limit * 1.2) || 1;
+  const width = 260, height = 90;
+  // 완료 회차가 있으면 첫 회차가 1이 아니므로 첫 회차 기준으로 위치를 계산합니다.
+  const firstRound = rounds[0].round;
+  const x = (round) => rounds.length > 1 ? ((round - firstRound) / (rounds.length - 1)) * width : 0;
+  const y = (value) => height - (Math.min(value, yMax) / yMax) * height;
+  const line = (key) => rounds.map(r => `${x(r.round).toFixed(1)},${y(r[key]).toFixed(1)}`).join(' ');
+  const chosenMarker = chosenRound
+    ? `<line class="chosen" x1="${x(chosenRound).toFixed(1)}" y1="0" x2="${x(chosenRound).toFixed(1)}" y2="${height}"></line>`
+    : '';
+
+  const rows = rounds.map(r => {
+    const classes = [];
+    if (r.averageEfficiency < limit) classes.push('below-limit');
+    if (r.round === chosenRound) classes.push('chosen');
+    return `
+      <tr class="${classes.join(' ')}">
+        <td>${r.round}</td><td>${r.reqCount}</td><td>${r.marginalEfficiency.toFixed(3)}</td><td>${r.averageEfficiency.toFixed(3)}</td>
+      </tr>`;
+  }).join('');
+
+  return `
+    <details class="round-efficiency">
+      <summary>회차별 효율 보기</summary>
+      <svg class="round-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+        <line class="limit" x1="0" y1="${y(limit).toFixed(1)}" x2="${width}" y2="${y(limit).toFixed(1)}"></line>
+        ${chosenMarker}
+        <polyline class="marginal" points="${line('marginalEfficiency')}"></polyline>
+        <polyline class="average" points="${line('averageEfficiency')}"></polyline>
+      </svg>
+      <div class="round-legend">
+        <span class="average">누적 평균</span> <span class="marginal">회차 효율</span> <span class="limit">마지노선 ${limit}</span>
+      </div>
+      <div class="round-table-wrap">
+        <table class="round-table">
+          <thead><tr><th>회차</th><th>필요 개수</th><th>회차 효율</th><th>누적 평균</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    </details>
+  `;
+}
+
+// 원가 구성 트리를 펼쳐볼 수 있는 HTML로 변환합니다. (품목 1개 기준)
+function renderCostBreakdown(tree) {
+  // 원가 비중이 가장 큰 기초 재료를 찾아 강조합니다.
+  let topLeaf = null;
+  const findTopLeaf = (node) => {
+    if (node.children.length === 0) {
+      if (!topLeaf || node.cost > topLeaf.cost) topLeaf = node;
+      return;
+    }
+    node.children.forEach(findTopLeaf);
+  };
+  findTopLeaf(tree);
+
+  const renderNode = (node) => {
+    const share = tree.cost > 0 ? (node.cost / tree.cost * 100).toFixed(1) : '0.0';
+    let typeLabel = node.type === 'material' ? '구매' : `제작${node.category ? ' · ' + node.category : ''}`;
+    if (node.alternativeCost !== undefined) {
+      typeLabel += node.source === 'buy'
+        ? `, 제작 시 ${node.alternativeCost.toFixed(1)}`
+        : `, 구매 시 ${node.alternativeCost.toFixed(1)}`;
+    }
+    if (node.yield > 1) typeLabel += `, 1회 ${node.yield}개 생산`;
+    if (node.variantCount > 1) typeLabel += `, 대안 ${node.variantIndex + 1}/${node.variantCount}`;
+    let staminaText = node.type === 'material' ? '-' : `⚡${node.stamina.toFixed(1)}`;
+    if (node.staminaIgnored) staminaText = `<span class="badge info" title="중간재료 스태미나 미포함">⚡제외</span>`;
+    const errorText = node.error && node.children.length === 0 ? ' <span class="badge bad">오류</span>' : '';
+    const rowClass = node === topLeaf && node !== tree ? 'tree-row top-cost' : 'tree-row';
+    const row = `
+      <div class="${rowClass}">
+        <span class="tree-name">${node.name} <small>×${node.count} (${typeLabel})</small>${errorText}</span>
+        <span class="tree-values">${node.coin.toFixed(1)}코인 · ${staminaText} · ${share}%</span>
+      </div>`;
+
+    if (node.children.length === 0) return `<li>${row}</li>`;
+    return `<li><details open><summary>${row}</summary><ul>${node.children.map(renderNode).join('')}</ul></details></li>`;
+  };
+
+  return `
+    <details class="cost-breakdown">
+      <summary>원가 구성 보기 <small>(1개 기준: 개수 · 코인 · 스태미나 · 원가 비중)</small></summary>
+      <ul class="cost-tree">${renderNode(tree)}</ul>
+    </details>
+  `;
+}
+
+// --- 4. 에디터 페이지 로직 ---
+function initEditor() {
+  // 이전에 저장하지 않고 닫은 편집 내용이 있으면 복원할지 묻습니다.
+  const draft = readStoredJson(EDITOR_DRAFT_KEY, null);
+  if (draft && draft.data && JSON.stringify(draft.data) !== JSON.stringify(appData)) {
+    renderDraftBanner(draft);
+  }
+  refreshEditor();
+  initEditorHistory();
+  initBulkSheet();
+
+  // JSON 파일 불러오기 기능 추가
+  document.getElementById('fileInput').addEventListener('change', function(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    processJsonFile(file, (json) => {
+      appData = json;
+      refreshEditor();
+      console.log('데이터를 성공적으로 불러왔습니다!');
+      // 파일 입력 초기화 (같은 파일 다시 선택 가능하도록)
+      document.getElementById('fileInput').value = '';
+    });
+  });
+
+  // JSON 다운로드
+  document.getElementById('downloadBtn').addEventListener('click', (e) => {
+    // 오류가 남아 있으면 한 번 더 눌러야 다운로드합니다.
+    const errorCount = validateData().filter(issue => issue.level === 'error').length;
+    if (errorCount > 0 && !e.target.dataset.confirmed) {
+      e.target.dataset.confirmed = 'true';
+      e.target.textContent = `오류 ${errorCount}개 무시하고 다운로드`;
+      console.log(`데이터에 오류가 ${errorCount}개 남아 있습니다. 데이터 검사 목록을 확인해주세요.`);
+      document.getElementById('validationReport').scrollIntoView({ behavior: 'smooth' });
+      return;
+    }
+    const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(JSON.stringify(appData, null, 2));
+    const downloadAnchorNode = document.createElement('a');
+    downloadAnchorNode.setAttribute("href", dataStr);
+    downloadAnchorNode.setAttribute("download", "data.json");
+    document.body.appendChild(downloadAnchorNode);
+    downloadAnchorNode.click();
+    downloadAnchorNode.remove();
+    removeStoredItem(EDITOR_DRAFT_KEY); // 파일로 저장했으므로 임시 저장본은 지웁니다.
+  });
+
+  // 재료 추가
+  const matNameInput = document.getElementById('matName');
+  const matPriceInput = document.getElementById('matPrice');
+  const addMatButton = document.getElementById('addMatBtn');
+
+  const tryAddMaterial = (e) => {
+    if (e.key === 'Enter' && matNameInput.value && matPriceInput.value) {
+      addMatButton.click();
+    }
+  };
+  matNameInput.addEventListener('keydown', tryAddMaterial);
+  matPriceInput.addEventListener('keydown', tryAddMaterial);
+
+  addMatButton.addEventListener('click', () => {
+    const name = matNameInput.value;
+    const price = matPriceInput.value;
+    if(name && price) {
+      appData.materials[name] = parseFloat(price);
+      renderList('materials');
+      renderJsonPreview();
+      clearInputs(['matName', 'matPrice']);
+    }
+  });
+  
+  // 레시피 추가
+  const recNameInput = document.getElementById('recName');
+  const recStaminaInput = document.getElementById('recStamina');
+  const recIngsInput = document.getElementById('recIngs');
+  const recYieldInput = document.getElementById('recYield');
+  const recAsVariantInput = document.getElementById('recAsVariant');
+  const addRecipeButton = document.getElementById('addRecipeBtn');
+  const recTypeRadios = document.querySelectorAll('input[name="recipeType"]');
+  const recCategoryGroup = document.getElementById('recCategoryGroup');
+
+  // 카테고리 드롭다운은 항상 표시
+
+  const tryAddRecipe = (e) => {
+    if (e.key === 'Enter' && recNameInput.value && recStaminaInput.value && recIngsInput.value) {
+      addRecipeButton.click();
+    }
+  };
+  recNameInput.addEventListener('keydown', tryAddRecipe);
+  recStaminaInput.addEventListener('keydown', tryAddRecipe);
+  recIngsInput.addEventListener('keydown', tryAddRecipe);
+  recYieldInput.addEventListener('keydown', tryAddRecipe);
+
+  addRecipeButton.addEventListener('click', () => {
+    const name = recNameInput.value;
+    const stamina = recStaminaInput.value;
+    const ingredientsStr = recIngsInput.value;
+    const category = document.getElementById('recCategory').value;
+    
+    if(name && stamina && ingredientsStr && category) {
+      const ingObj = {};
+      const invalidParts = [];
+      ingredientsStr.split(',').forEach(part => {
+        part = part.trim();
+        if (!part) return;
+        const lastSpaceIndex = part.lastIndexOf(' ');
+        
+        if (lastSpaceIndex !== -1) {
+          const k = part.substring(0, lastSpaceIndex).trim();
+          const v = parseFloat(part.substring(lastSpaceIndex + 1).trim());
+          if (k && v > 0) {
+            ingObj[k] = v;
+            return;
+          }
+        }
+        invalidParts.push(part);
+      });
+      // 형식이 잘못된 재료를 조용히 버리지 않고 알려줍니다.
+      if (invalidParts.length > 0 || Object.keys(ingObj).length === 0) {
+        console.log(`재료 형식이 올바르지 않습니다: ${invalidParts.join(', ') || ingredientsStr} (형식: 콩 2, 소금 1)`);
+        return;
+      }
+      const yieldText = recYieldInput.value.trim();
+      const yieldCount = yieldText === '' ? 1 : Number(yieldText);
+      if (!isValidYield(yieldCount)) {
+        console.log(`생산 개수는 1 이상의 정수여야 합니다: ${yieldText}`);
+        return;
+      }
+
+      // Ensure the recipes object exists
+      if (!appData.recipes) appData.recipes = {};
+
+      const newRecipe = {
+        stamina: parseFloat(stamina),
+        category: category, // Category is always added now
+        ingredients: ingObj
+      };
+      // 생산 개수는 1개가 아닐 때만 저장 (미지정 시 1개로 계산)
+      if (yieldCount !== 1) {
+        newRecipe.yield = yieldCount;
+      }
+
+      // "대안 레시피로 추가"가 체크되어 있으면 같은 이름 아래에 레시피를 하나 더 둡니다.
+      if (recAsVariantInput.checked && appData.recipes[name]) {
+        appData.recipes[name] = [...getRecipeVariants(name), newRecipe];
+      } else {
+        appData.recipes[name] = newRecipe;
+      }
+      recAsVariantInput.checked = false;
+      renderList('recipes');
+      renderJsonPreview();
+      clearInputs(['recName', 'recStamina', 'recIngs', 'recYield']);
+    }
+  });
+
+  // 카테고리 추가/수정
+  const catNameInput = document.getElementById('catName');
+  const catRateInput = document.getElementById('catRate');
+  const catRoundingSelect = document.getElementById('catRounding');
+  const catExemptInput = document.getElementById('catExempt');
+  catRoundingSelect.innerHTML = Object.entries(ROUNDING_MODES)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+
+  document.getElementById('addCategoryBtn').addEventListener('click', () => {
+    const name = catNameInput.value.trim();
+    if (!name) return;
+    const rate = catRateInput.value === '' ? 5 : parseFloat(catRateInput.value);
+    if (!(rate >= 0)) {
+      console.log('감소율은 0 이상의 숫자로 입력해주세요.');
+      return;
+    }
+    appData.categories[name] = {
+      conservation_rate: rate / 100,
+      exempt: catExemptInput.checked,
+      rounding: catRoundingSelect.value
+    };
+    catExemptInput.checked = false;
+    catRoundingSelect.value = 'round';
+    renderList('categories');
+    renderJsonPreview();
+    clearInputs(['catName', 'catRate']);
+  });
+  catNameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && catNameInput.value) document.getElementById('addCategoryBtn').click();
+  });
+
+  // 납품 단계 저장
+  document.getElementById('saveTiersBtn').addEventListener('click', () => {
+    const tiers = [];
+    document.getElementById('tierTable').value.split(',').forEach(part => {
+      const [from, count] = part.split(':').map(v => parseInt(v, 10));
+      if (from > 0 && count > 0) tiers.push({ from: from, count: count });
+    });
+    const milestones = document.getElementById('tierMilestones').value.split(',')
+      .map(v => parseInt(v, 10))
+      .filter(v => v > 0);
+    const maxRounds = parseInt(document.getElementById('tierMaxRounds').value, 10);
+
+    if (tiers.length === 0 || milestones.length === 0 || !(maxRounds > 0)) {
+      console.log('납품 단계 형식이 올바르지 않습니다. (예: 1:1, 2:2, 3:3, 11:5, 21:10)');
+      return;
+    }
+
+    if (!appData.settings) appData.settings = {};
+    appData.settings.delivery_tiers = {
+      tiers: tiers.sort((a, b) => a.from - b.from),
+      milestones: [...new Set(milestones)].sort((a, b) => a - b),
+      max_rounds: maxRounds
+    };
+    renderDeliveryTiers();
+    renderJsonPreview();
+  });
+}
+
+// appData를 통째로 바꾼 뒤(파일 불러오기, 실행 취소, 임시 저장본 복원) 화면 전체를 다시 그립니다.
+function refreshEditor() {
+  editingEntry = null;
+  pendingDelete = null;
+  const whereUsedPanel = document.getElementById('whereUsedPanel');
+  if (whereUsedPanel) whereUsedPanel.style.display = 'none';
+  ensureCategories();
+  renderList('materials');
   renderList('recipes');
+  renderList('categories');
+  renderDeliveryTiers();
+  renderJsonPreview();
+}
+
+// --- 실행 취소 / 다시 실행, 임시 저장 ---
+// 모든 편집은 renderJsonPreview로 끝나므로 그때마다 직전 상태(JSON 문자열)를 기록합니다.
+const EDITOR_HISTORY_LIMIT = 50;
+const EDITOR_DRAFT_KEY = 'overfield_editor_draft';
+const editorHistory = { undo: [], redo: [], current: null, restoring: false };
+
+function recordEditorHistory(json) {
+  if (editorHistory.current === null) {
+    editorHistory.current = json; // 처음 불러온 상태
+    updateHistoryButtons();
+    return;
+  }
+  if (json === editorHistory.current) return;
+  if (!editorHistory.restoring) {
+    editorHistory.undo.push(editorHistory.current);
+    if (editorHistory.undo.length > EDITOR_HISTORY_LIMIT) editorHistory.undo.shift();
+    editorHistory.redo = [];
+  }
+  editorHistory.current = json;
+  saveEditorDraft();
+  updateHistoryButtons();
+}
+
+function saveEditorDraft() {
+  writeStoredJson(EDITOR_DRAFT_KEY, { savedAt: new Date().toISOString(), data: appData });
+  const banner = document.getElementById('draftBanner');
+  if (banner) banner.style.display = 'none'; // 새로 편집하면 이전 임시 저장본은 덮어씁니다.
+}
+
+function restoreEditorSnapshot(json) {
+  appData = JSON.parse(json);
+  editorHistory.restoring = true;
+  refreshEditor();
+  editorHistory.restoring = false;
+}
+
+function undoEdit() {
+  if (editorHistory.undo.length === 0) return;
+  editorHistory.redo.push(editorHistory.current);
+  restoreEditorSnapshot(editorHistory.undo.pop());
+}
+
+function redoEdit() {
+  if (editorHistory.redo.length === 0) return;
+  editorHistory.undo.push(editorHistory.current);
+  restoreEditorSnapshot(editorHistory.redo.pop());
+}
+
+function updateHistoryButtons() {
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+  if (undoBtn) undoBtn.disabled = editorHistory.undo.length === 0;
+  if (redoBtn) redoBtn.disabled = editorHistory.redo.length === 0;
+}
+
+function initEditorHistory() {
+  document.getElementById('undoBtn').addEventListener('click', undoEdit);
+  document.getElementById('redoBtn').addEventListener('click', redoEdit);
+  // Ctrl/Cmd+Z 실행 취소, Ctrl/Cmd+Shift+Z 또는 Ctrl+Y 다시 실행 (입력란 안에서는 글자 단위 취소를 그대로 둡니다)
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    if (e.target.matches('input, textarea, select')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undoEdit();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redoEdit();
+    }
+  });
+}
+
+function renderDraftBanner(draft) {
+  const banner = document.getElementById('draftBanner');
+  if (!banner) return;
+  const savedAt = new Date(draft.savedAt);
+  banner.style.display = '';
+  banner.innerHTML = `
+    <p style="font-size:13px;"><b>저장하지 않은 편집 내용이 있습니다.</b> (${isNaN(savedAt) ? '' : savedAt.toLocaleString()} 임시 저장)</p>
+    <div class="edit-actions">
+      <button class="btn" id="restoreDraftBtn">복원</button>
+      <button class="btn btn-secondary" id="discardDraftBtn">버리기</button>
+    </div>
+  `;
+  banner.querySelector('#restoreDraftBtn').addEventListener('click', () => {
+    banner.style.display = 'none';
+    appData = draft.data;
+    refreshEditor(); // 복원도 실행 취소할 수 있도록 기록됩니다.
+    console.log('임시 저장된 편집 내용을 복원했습니다.');
+  });
+  banner.querySelector('#discardDraftBtn').addEventListener('click', () => {
+    banner.style.display = 'none';
+    removeStoredItem(EDITOR_DRAFT_KEY);
+  });
+}
+
+// --- 스프레드시트 (CSV / TSV) 일괄 입출력 ---
+// 재료 시트: 이름, 가격 (제목 줄은 있어도 없어도 됨)
+// 레시피 시트: 제목 줄 필수. 재료마다 한 줄(재료, 개수 열) 또는 재료를 열로(재료1, 개수1, 재료2, 개수2 ...) 둘 다 읽습니다.
+//   재료마다 한 줄일 때 레시피 이름이 빈 줄은 바로 위 레시피에 이어 붙습니다. (셀 병합 복사 대응)
+const BULK_HEADERS = {
+  materials: { name: ['name', '이름', '재료', '재료명'], price: ['price', '가격', '상점 가격'] },
+  recipes: {
+    recipe: ['recipe', 'name', '이름', '레시피', '제작품'],
+    variant: ['variant', '대안'],
+    stamina: ['stamina', '스태미나'],
+    category: ['category', '카테고리'],
+    yield: ['yield', '생산 개수', '생산개수'],
+    ingredient: ['ingredient', '재료'],
+    count: ['count', '개수']
+  }
+};
+
+// 스프레드시트에서 붙여넣은 글은 탭, CSV 파일은 쉼표로 구분됩니다. 따옴표로 감싼 칸 안의 구분자/줄바꿈도 처리합니다.
+function parseDelimited(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes('\t') ? '\t' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const endCell = () => { row.push(cell.trim()); cell = ''; };
+  const endRow = () => {
+    endCell();
+    if (row.some(value => value !== '')) rows.push({ line: rowLine, cells: row });
+    row = [];
+    rowLine = line;
+  };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (ch === delimiter) {
+      endCell();
+    } else if (ch === '\n') {
+      line++;
+      endRow();
+    } else if (ch !== '\r') {
+      cell += ch;
+    }
+  }
+  endRow();
+  return rows;
+}
+
+// 제목 줄에서 열 위치를 찾습니다. (대소문자, 공백 무시)
+function findBulkColumns(headerCells, aliases) {
+  const normalized = headerCells.map(cell => cell.toLowerCase().replace(/\s+/g, ''));
+  const columns = {};
+  Object.entries(aliases).forEach(([field, names]) => {
+    const index = normalized.findIndex(cell => names.some(name => name.replace(/\s+/g, '') === cell));
+    if (index !== -1) columns[field] = index;
+  });
+  return columns;
+}
 
-  // JSON 파일 불러오기 기능 추가
-  document.getElementById('fileInput').addEventListener('change', function(e) {
+function parseMaterialSheet(rows) {
+  const entries = {};
+  const errors = [];
+  let columns = { name: 0, price: 1 };
+  if (rows.length > 0 && isNaN(parseFloat(rows[0].cells[1]))) {
+    columns = { ...columns, ...findBulkColumns(rows[0].cells, BULK_HEADERS.materials) };
+    rows = rows.slice(1);
+  }
+  rows.forEach(({ line, cells }) => {
+    const name = cells[columns.name] || '';
+    const price = parseFloat((cells[columns.price] || '').replace(/,/g, ''));
+    if (!name) errors.push({ line: line, message: '이름이 없습니다' });
+    else if (!(price > 0)) errors.push({ line: line, message: `'${name}' 가격이 올바르지 않습니다 (${cells[columns.price] || ''})` });
+    else entries[name] = price;
+  });
+  return { entries: entries, errors: errors };
+}
+
+function parseRecipeSheet(rows) {
+  const errors = [];
+  if (rows.length === 0) return { entries: {}, errors: errors };
+  const header = rows[0].cells;
+  const columns = findBulkColumns(header, BULK_HEADERS.recipes);
+  // 재료를 열로 둔 형식: 재료1/개수1, ingredient1/count1 ...
+  const wideColumns = [];
+  header.forEach((cell, index) => {
+    const match = cell.toLowerCase().replace(/\s+/g, '').match(/^(ingredient|재료|count|개수)(\d+)$/);
+    if (!match) return;
+    const slot = parseInt(match[2], 10);
+    wideColumns[slot] = wideColumns[slot] || {};
+    wideColumns[slot][match[1] === 'ingredient' || match[1] === '재료' ? 'ingredient' : 'count'] = index;
+  });
+  if (columns.recipe === undefined || (columns.ingredient === undefined && wideColumns.length === 0)) {
+    errors.push({ line: rows[0].line, message: '레시피 시트는 제목 줄(레시피, 스태미나, 카테고리, 재료, 개수 또는 재료1, 개수1 ...)이 필요합니다' });
+    return { entries: {}, errors: errors };
+  }
+
+  const variantsByName = {};
+  const lineOf = {};
+  let previous = null;
+  rows.slice(1).forEach(({ line, cells }) => {
+    const cellAt = (field) => columns[field] !== undefined ? (cells[columns[field]] || '') : '';
+    const name = cellAt('recipe') || (wideColumns.length === 0 && previous ? previous.name : '');
+    if (!name) {
+      errors.push({ line: line, message: '레시피 이름이 없습니다' });
+      return;
+    }
+    const variantIndex = Math.max(1, parseInt(cellAt('variant'), 10) || (previous && previous.name === name ? previous.variant : 1));
+    previous = { name: name, variant: variantIndex };
+    if (!variantsByName[name]) variantsByName[name] = [];
+    const recipe = variantsByName[name][variantIndex - 1] = variantsByName[name][variantIndex - 1] || { ingredients: {} };
+    lineOf[name] = lineOf[name] || line;
+
+    if (cellAt('stamina') !== '') recipe.stamina = parseFloat(cellAt('stamina'));
+    if (cellAt('category') !== '') recipe.category = cellAt('category');
+    if (cellAt('yield') !== '') {
+      recipe.yield = Number(cellAt('yield'));
+      if (!isValidYield(recipe.yield)) {
+        errors.push({ line: line, message: `'${name}' 생산 개수는 1 이상의 정수여야 합니다 (${cellAt('yield')})` });
+      }
+    }
+
+    const pairs = wideColumns.length > 0
+      ? wideColumns.filter(Boolean).map(slot => [cells[slot.ingredient] || '', cells[slot.count] || ''])
+      : [[cellAt('ingredient'), cellAt('count')]];
+    pairs.forEach(([ingName, countText]) => {
+      if (!ingName && !countText) return;
+      const count = parseFloat(countText);
+      if (!ingName || !(count > 0)) {
+        errors.push({ line: line, message: `'${name}' 재료 형식이 올바르지 않습니다 (${ingName} ${countText})` });
+        return;
+      }
+      recipe.ingredients[ingName] = (recipe.ingredients[ingName] || 0) + count;
+    });
+  });
+
+  const entries = {};
+  Object.entries(variantsByName).forEach(([name, variants]) => {
+    const valid = variants.filter(Boolean).filter(recipe => {
+      if (recipe.yield !== undefined && !isValidYield(recipe.yield)) return false; // 이미 오류로 보고함
+      if (recipe.stamina >= 0 && Object.keys(recipe.ingredients).length > 0) return true;
+      errors.push({ line: lineOf[name], message: `'${name}' 스태미나 또는 재료가 없습니다` });
+      return false;
+    }).map(recipe => {
+      const result = { stamina: recipe.stamina, category: recipe.category, ingredients: recipe.ingredients };
+      if (!result.category) delete result.category;
+      if (recipe.yield !== undefined && recipe.yield !== 1) result.yield = recipe.yield; // 미지정 시 1개로 계산
+      return result;
+    });
+    if (valid.length > 0) entries[name] = valid.length === 1 ? valid[0] : valid;
+  });
+  return { entries: entries, errors: errors };
+}
+
+// 키 순서나 생략된 기본값(생산 개수 1) 차이는 같은 레시피로 봅니다.
+function isSameRecipeEntry(a, b) {
+  const normalize = (entry) => JSON.stringify((Array.isArray(entry) ? entry : [entry]).map(recipe => [
+    recipe.stamina, recipe.category || '', getRecipeYield(recipe),
+    Object.entries(recipe.ingredients || {}).sort(([x], [y]) => x.localeCompare(y))
+  ]));
+  return normalize(a) === normalize(b);
+}
+
+function diffBulkEntries(type, incoming, removeMissing) {
+  const current = appData[type] || {};
+  const isSame = type === 'materials' ? (a, b) => a === b : isSameRecipeEntry;
+  return {
+    added: Object.keys(incoming).filter(name => current[name] === undefined),
+    changed: Object.keys(incoming).filter(name => current[name] !== undefined && !isSame(current[name], incoming[name])),
+    removed: removeMissing ? Object.keys(current).filter(name => incoming[name] === undefined) : []
+  };
+}
+
+// 일괄 적용 후에도 삭제될 이름을 쓰는 곳 (단일 삭제와 같은 getWhereUsed 기준)
+// 적용 결과 데이터에서 확인하므로 함께 바뀌거나 삭제되는 레시피는 반영됩니다. 다른 종류로 이름이 남으면 제외합니다.
+function getBulkRemovalUsage(type, entries, diff) {
+  const savedData = appData;
+  appData = { ...savedData, [type]: { ...(savedData[type] || {}) } };
+  try {
+    [...diff.added, ...diff.changed].forEach(name => { appData[type][name] = entries[name]; });
+    diff.removed.forEach(name => { delete appData[type][name]; });
+    const usage = {};
+    diff.removed.forEach(name => {
+      if ((appData.materials || {})[name] !== undefined || (appData.recipes || {})[name] !== undefined) return;
+      const whereUsed = getWhereUsed(name);
+      if (type !== 'recipes') whereUsed.settings = []; // 기준 레시피는 레시피를 지울 때만 사라짐
+      if (whereUsed.direct.length > 0 || whereUsed.settings.length > 0) usage[name] = whereUsed;
+    });
+    return usage;
+  } finally {
+    appData = savedData;
+  }
+}
+
+function describeBulkEntry(type, entry) {
+  if (type === 'materials') return `${entry} 코인`;
+  return (Array.isArray(entry) ? entry : [entry])
+    .map(recipe => `⚡${recipe.stamina}${recipe.category ? ` (${recipe.category})` : ''} / ${describeRecipe(recipe)}${getRecipeYield(recipe) > 1 ? ` / ${getRecipeYield(recipe)}개 생산` : ''}`)
+    .join(' | ');
+}
+
+// 현재 데이터를 시트 형식의 행 목록으로 (layout: rows = 재료마다 한 줄, columns = 재료를 열로)
+function getBulkExportRows(type, layout) {
+  if (type === 'materials') {
+    return [['name', 'price'], ...Object.keys(appData.materials || {}).sort().map(name => [name, appData.materials[name]])];
+  }
+  const names = Object.keys(appData.recipes || {}).sort();
+  const recipeCells = (name, recipe, index) => [name, index + 1, recipe.stamina, recipe.category || '', getRecipeYield(recipe)];
+  if (layout === 'columns') {
+    const maxIngredients = Math.max(1, ...names.flatMap(name => getRecipeVariants(name).map(recipe => Object.keys(recipe.ingredients || {}).length)));
+    const header = ['recipe', 'variant', 'stamina', 'category', 'yield'];
+    for (let i = 1; i <= maxIngredients; i++) header.push(`ingredient${i}`, `count${i}`);
+    return [header, ...names.flatMap(name => getRecipeVariants(name).map((recipe, index) => [
+      ...recipeCells(name, recipe, index),
+      ...Object.entries(recipe.ingredients || {}).flat()
+    ]))];
+  }
+  return [
+    ['recipe', 'variant', 'stamina', 'category', 'yield', 'ingredient', 'count'],
+    ...names.flatMap(name => getRecipeVariants(name).flatMap((recipe, index) =>
+      Object.entries(recipe.ingredients || {}).map(([ingName, count]) => [...recipeCells(name, recipe, index), ingName, count])))
+  ];
+}
+
+function formatBulkRows(rows, delimiter) {
+  const format = delimiter === '\t'
+    ? (value) => String(value).replace(/[\t\r\n]+/g, ' ')
+    : toCsvField;
+  return rows.map(row => row.map(format).join(delimiter)).join('\r\n');
+}
+
+function renderBulkPreview() {
+  const previewEl = document.getElementById('bulkPreview');
+  const type = document.getElementById('bulkType').value;
+  const removeMissing = document.getElementById('bulkReplace').checked;
+  const rows = parseDelimited(document.getElementById('bulkText').value);
+  const { entries, errors } = type === 'materials' ? parseMaterialSheet(rows) : parseRecipeSheet(rows);
+  const diff = diffBulkEntries(type, entries, removeMissing);
+  const current = appData[type] || {};
+  const usage = getBulkRemovalUsage(type, entries, diff);
+  const usedNames = Object.keys(usage);
+  const describeUsage = (whereUsed) => [
+    whereUsed.direct.length > 0 ? `레시피 ${whereUsed.direct.length}개에서 사용 중: ${whereUsed.direct.join(', ')}` : '',
+    whereUsed.transitive.length > 0 ? `간접 ${whereUsed.transitive.length}개: ${whereUsed.transitive.join(', ')}` : '',
+    whereUsed.settings.length > 0 ? '스태미나 가치 기준 레시피' : ''
+  ].filter(Boolean).join(' · ');
+
+  const section = (title, names, describe) => names.length === 0 ? '' : `
+    <h4>${title} (${names.length})</h4>
+    ${names.map(name => `<div class="list-item"><div><b>${name}</b> <span style="font-size:12px; color:#666">${describe(name)}</span></div></div>`).join('')}
+  `;
+  const changeCount = diff.added.length + diff.changed.length + diff.removed.length;
+  previewEl.innerHTML = `
+    <p><span class="badge good">추가 ${diff.added.length}</span> <span class="badge info">변경 ${diff.changed.length}</span> <span class="badge bad">삭제 ${diff.removed.length}</span>${errors.length > 0 ? ` <span class="badge bad">건너뛴 줄 ${errors.length}</span>` : ''}</p>
+    ${errors.map(error => `<div class="list-item validation-error"><div><small>${error.line}번째 줄</small> ${error.message}</div></div>`).join('')}
+    ${section('추가', diff.added, name => describeBulkEntry(type, entries[name]))}
+    ${section('변경', diff.changed, name => `${describeBulkEntry(type, current[name])} → ${describeBulkEntry(type, entries[name])}`)}
+    ${section('삭제', diff.removed, name => usage[name]
+      ? `<span class="badge bad">사용 중</span> ${describeUsage(usage[name])}`
+      : describeBulkEntry(type, current[name]))}
+    ${usedNames.length > 0 ? `
+      <p style="font-size:12px; margin:5px 0; color:#b91c1c;">
+        삭제할 항목 ${usedNames.length}개를 다른 곳에서 쓰고 있습니다. 그대로 적용하면 위 레시피를 계산할 수 없고, 설정은 기본값으로 돌아갑니다.
+      </p>` : ''}
+    ${changeCount > 0 ? `
+      <div class="edit-actions">
+        <button class="btn btn-secondary" id="bulkCancelBtn">취소</button>
+        ${usedNames.length > 0 ? '<button class="btn" id="bulkApplyKeepBtn">사용 중인 항목은 남기고 적용</button>' : ''}
+        <button class="btn${usedNames.length > 0 ? ' btn-danger' : ''}" id="bulkApplyBtn">${usedNames.length > 0 ? '그래도 적용' : '적용'}</button>
+      </div>` : '<p class="bom-empty">바뀌는 항목이 없습니다.</p>'}
+  `;
+  if (changeCount === 0) return;
+
+  const apply = (removed) => {
+    if (!appData[type]) appData[type] = {};
+    [...diff.added, ...diff.changed].forEach(name => { appData[type][name] = entries[name]; });
+    removed.forEach(name => { delete appData[type][name]; });
+    previewEl.innerHTML = '';
+    refreshEditor(); // 한 번에 실행 취소할 수 있도록 한 번만 기록됩니다.
+    const appliedCount = diff.added.length + diff.changed.length + removed.length;
+    console.log(`${type === 'materials' ? '재료' : '레시피'} ${appliedCount}개 항목을 적용했습니다.`);
+  };
+  previewEl.querySelector('#bulkCancelBtn').addEventListener('click', () => { previewEl.innerHTML = ''; });
+  previewEl.querySelector('#bulkApplyBtn').addEventListener('click', () => apply(diff.removed));
+  const keepButton = previewEl.querySelector('#bulkApplyKeepBtn');
+  if (keepButton) keepButton.addEventListener('click', () => apply(diff.removed.filter(name => !usage[name])));
+}
+
+function initBulkSheet() {
+  const typeSelect = document.getElementById('bulkType');
+  const layoutSelect = document.getElementById('bulkLayout');
+  const textEl = document.getElementById('bulkText');
+
+  document.getElementById('bulkPreviewBtn').addEventListener('click', renderBulkPreview);
+  document.getElementById('bulkFile').addEventListener('change', (e) => {
     const file = e.target.files[0];
     if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      textEl.value = String(reader.result).replace(/^\uFEFF/, '');
+      renderBulkPreview();
+      e.target.value = '';
+    };
+    reader.readAsText(file);
+  });
 
-    processJsonFile(file, (json) => {
-      appData = json;
-      renderList('materials');
-      renderList('recipes');
-      renderJsonPreview();
-      console.log('데이터를 성공적으로 불러왔습니다!');
-      // 파일 입력 초기화 (같은 파일 다시 선택 가능하도록)
-      document.getElementById('fileInput').value = '';
+  const exportBtn = document.getElementById('bulkExportBtn');
+  const originalBtnText = exportBtn.innerHTML;
+  exportBtn.addEventListener('click', () => {
+    // 탭 구분으로 복사하면 스프레드시트에 그대로 붙여넣을 수 있습니다.
+    textEl.value = formatBulkRows(getBulkExportRows(typeSelect.value, layoutSelect.value), '\t');
+    navigator.clipboard.writeText(textEl.value).then(() => {
+      exportBtn.innerHTML = '복사됨!';
+      exportBtn.classList.add('copied');
+      setTimeout(() => {
+        exportBtn.innerHTML = originalBtnText;
+        exportBtn.classList.remove('copied');
+      }, 1000);
+    }).catch(err => {
+      console.log('클립보드 복사에 실패했습니다. 입력란의 내용을 직접 복사해주세요.');
+      console.error('Clipboard copy failed:', err);
     });
   });
+  document.getElementById('bulkDownloadBtn').addEventListener('click', () => {
+    const csv = formatBulkRows(getBulkExportRows(typeSelect.value, layoutSelect.value), ',');
+    downloadTextFile(`${typeSelect.value}.csv`, 'text/csv', '\uFEFF' + csv); // 엑셀 한글 깨짐 방지 BOM
+  });
+}
 
-  // JSON 다운로드
-  document.getElementById('downloadBtn').addEventListener('click', () => {
-    const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(JSON.stringify(appData, null, 2));
-    const downloadAnchorNode = document.createElement('a');
-    downloadAnchorNode.setAttribute("href", dataStr);
-    downloadAnchorNode.setAttribute("download", "data.json");
-    document.body.appendChild(downloadAnchorNode);
-    downloadAnchorNode.click();
-    downloadAnchorNode.remove();
+let editingEntry = null; // 목록에서 바로 수정 중인 항목 { type, key, index }
+
+// 재료/레시피 이름 변경: 두 목록의 키와 이 이름을 재료로 쓰는 모든 레시피, 스태미나 기준 레시피를 함께 바꿉니다.
+// 반환값: 재료 이름이 바뀐 레시피 수 (이름이 겹치면 null)
+// 다른 재료나 제작품이 이미 쓰고 있는 이름으로는 바꿀 수 없습니다.
+function isRenameBlocked(oldName, newName) {
+  if (oldName === newName) return false;
+  if ((appData.materials || {})[newName] !== undefined || (appData.recipes || {})[newName] !== undefined) {
+    console.log(`'${newName}'(은)는 이미 있는 이름입니다.`);
+    return true;
+  }
+  return false;
+}
+
+function renameItem(oldName, newName) {
+  if (oldName === newName) return 0;
+  if (isRenameBlocked(oldName, newName)) return null;
+  const materials = appData.materials || {};
+  const recipes = appData.recipes || {};
+  // 키 순서를 유지하면서 이름만 바꿉니다.
+  const renameKey = (obj) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [k === oldName ? newName : k, v]));
+  if (materials[oldName] !== undefined) appData.materials = renameKey(materials);
+  if (recipes[oldName] !== undefined) appData.recipes = renameKey(recipes);
+
+  let updated = 0;
+  Object.values(appData.recipes || {}).forEach(entry => {
+    (Array.isArray(entry) ? entry : [entry]).forEach(recipe => {
+      if (recipe.ingredients && recipe.ingredients[oldName] !== undefined) {
+        recipe.ingredients = renameKey(recipe.ingredients);
+        updated++;
+      }
+    });
   });
+  if (appData.settings && appData.settings.stamina_reference === oldName) {
+    appData.settings.stamina_reference = newName;
+  }
+  return updated;
+}
 
-  // 재료 추가
-  const matNameInput = document.getElementById('matName');
-  const matPriceInput = document.getElementById('matPrice');
-  const addMatButton = document.getElementById('addMatBtn');
+window.startEdit = function(type, key, variantIndex) {
+  const previousType = editingEntry && editingEntry.type;
+  editingEntry = { type: type, key: key, index: variantIndex || 0 };
+  if (previousType && previousType !== type) renderList(previousType);
+  renderList(type);
+};
 
-  const tryAddMaterial = (e) => {
-    if (e.key === 'Enter' && matNameInput.value && matPriceInput.value) {
-      addMatButton.click();
-    }
-  };
-  matNameInput.addEventListener('keydown', tryAddMaterial);
-  matPriceInput.addEventListener('keydown', tryAddMaterial);
+function cancelEdit() {
+  const type = editingEntry && editingEntry.type;
+  editingEntry = null;
+  if (type) renderList(type);
+}
 
-  addMatButton.addEventListener('click', () => {
-    const name = matNameInput.value;
-    const price = matPriceInput.value;
-    if(name && price) {
-      appData.materials[name] = parseFloat(price);
-      renderList('materials');
-      renderJsonPreview();
-      clearInputs(['matName', 'matPrice']);
+// 이름을 바꿨다면 이름 변경까지 적용하고, 목록과 미리보기를 다시 그립니다.
+function finishEdit(oldName, newName) {
+  if (newName !== oldName) {
+    const updated = renameItem(oldName, newName);
+    if (updated === null) return false;
+    if (updated > 0) console.log(`'${oldName}' → '${newName}': 레시피 ${updated}개의 재료 이름도 바꿨습니다.`);
+  }
+  editingEntry = null;
+  renderList('materials');
+  renderList('recipes');
+  renderJsonPreview();
+  return true;
+}
+
+function renderMaterialEditForm(div, key) {
+  div.classList.add('editing');
+  div.innerHTML = `
+    <div class="edit-form">
+      <input type="text" class="input edit-name" placeholder="재료명">
+      <input type="number" class="input edit-price" placeholder="상점 가격">
+      <div class="edit-actions">
+        <button class="btn btn-sm edit-save">저장</button>
+        <button class="btn btn-sm btn-secondary edit-cancel">취소</button>
+      </div>
+    </div>
+  `;
+  div.querySelector('.edit-name').value = key;
+  div.querySelector('.edit-price').value = appData.materials[key];
+
+  div.querySelector('.edit-save').addEventListener('click', () => {
+    const newName = div.querySelector('.edit-name').value.trim();
+    const price = parseFloat(div.querySelector('.edit-price').value);
+    if (!newName || !(price >= 0)) {
+      console.log('재료명과 0 이상의 가격을 입력해주세요.');
+      return;
     }
+    if (isRenameBlocked(key, newName)) return; // 이름이 겹치면 가격도 바꾸지 않습니다.
+    appData.materials[key] = price;
+    finishEdit(key, newName);
   });
-  
-  // 레시피 추가
-  const recNameInput = document.getElementById('recName');
-  const recStaminaInput = document.getElementById('recStamina');
-  const recIngsInput = document.getElementById('recIngs');
-  const addRecipeButton = document.getElementById('addRecipeBtn');
-  const recTypeRadios = document.querySelectorAll('input[name="recipeType"]');
-  const recCategoryGroup = document.getElementById('recCategoryGroup');
+  div.querySelector('.edit-cancel').addEventListener('click', cancelEdit);
+}
 
-  // 카테고리 드롭다운은 항상 표시
+function renderIngredientRow(name, count) {
+  const row = document.createElement('div');
+  row.className = 'edit-ingredient';
+  row.innerHTML = `
+    <input type="text" class="input ing-name" list="editorItemList" placeholder="재료">
+    <input type="number" class="input ing-count" min="0" step="any" placeholder="개수">
+    <button class="btn btn-sm ing-remove" title="재료 삭제">×</button>
+  `;
+  row.querySelector('.ing-name').value = name;
+  row.querySelector('.ing-count').value = count;
+  row.querySelector('.ing-remove').addEventListener('click', () => row.remove());
+  return row;
+}
 
-  const tryAddRecipe = (e) => {
-    if (e.key === 'Enter' && recNameInput.value && recStaminaInput.value && recIngsInput.value) {
-      addRecipeButton.click();
+// 대안 레시피는 하나씩 수정하고, 이름을 바꾸면 대안 레시피 모두에 적용됩니다.
+function renderRecipeEditForm(div, key, index) {
+  const variants = getRecipeVariants(key);
+  const recipe = variants[index];
+  div.classList.add('editing');
+  div.innerHTML = `
+    <div class="edit-form">
+      <input type="text" class="input edit-name" placeholder="제작품 이름${variants.length > 1 ? ' (대안 레시피 모두 적용)' : ''}">
+      <div class="edit-fields">
+        <label>스태미나 <input type="number" class="input edit-stamina" min="0"></label>
+        <label>생산 개수 <input type="number" class="input edit-yield" min="1" step="1"></label>
+        <label>카테고리 <select class="select-box edit-category">
+          ${Object.keys(getCategories()).map(name => `<option value="${name}">${name}</option>`).join('')}
+        </select></label>
+      </div>
+      <div class="edit-ingredients"></div>
+      <div class="edit-actions">
+        <button class="btn btn-sm btn-secondary edit-add-ing">+ 재료</button>
+        <button class="btn btn-sm edit-save">저장</button>
+        <button class="btn btn-sm btn-secondary edit-cancel">취소</button>
+      </div>
+    </div>
+  `;
+  div.querySelector('.edit-name').value = key;
+  div.querySelector('.edit-stamina').value = recipe.stamina;
+  div.querySelector('.edit-yield').value = getRecipeYield(recipe);
+  const categorySelect = div.querySelector('.edit-category');
+  if (recipe.category && !getCategories()[recipe.category]) {
+    // 카테고리 목록에 없는 값도 그대로 유지할 수 있게 보여줍니다.
+    categorySelect.insertAdjacentHTML('afterbegin', `<option value="${recipe.category}">${recipe.category} (목록에 없음)</option>`);
+  }
+  categorySelect.value = recipe.category || '';
+  const ingredientsEl = div.querySelector('.edit-ingredients');
+  Object.entries(recipe.ingredients || {}).forEach(([name, count]) => {
+    ingredientsEl.appendChild(renderIngredientRow(name, count));
+  });
+
+  div.querySelector('.edit-add-ing').addEventListener('click', () => {
+    ingredientsEl.appendChild(renderIngredientRow('', ''));
+  });
+  div.querySelector('.edit-save').addEventListener('click', () => {
+    const newName = div.querySelector('.edit-name').value.trim();
+    const stamina = parseFloat(div.querySelector('.edit-stamina').value);
+    const yieldText = div.querySelector('.edit-yield').value.trim();
+    const yieldCount = yieldText === '' ? 1 : Number(yieldText);
+    const ingredients = {};
+    ingredientsEl.querySelectorAll('.edit-ingredient').forEach(row => {
+      const name = row.querySelector('.ing-name').value.trim();
+      const count = parseFloat(row.querySelector('.ing-count').value);
+      if (name && count > 0) ingredients[name] = (ingredients[name] || 0) + count;
+    });
+    if (!newName || !(stamina >= 0) || Object.keys(ingredients).length === 0) {
+      console.log('제작품 이름, 0 이상의 스태미나, 재료를 1개 이상 입력해주세요.');
+      return;
     }
-  };
-  recNameInput.addEventListener('keydown', tryAddRecipe);
-  recStaminaInput.addEventListener('keydown', tryAddRecipe);
-  recIngsInput.addEventListener('keydown', tryAddRecipe);
+    if (!isValidYield(yieldCount)) {
+      console.log(`생산 개수는 1 이상의 정수여야 합니다: ${yieldText}`);
+      return;
+    }
+    if (isRenameBlocked(key, newName)) return; // 이름이 겹치면 레시피도 바꾸지 않습니다.
 
-  addRecipeButton.addEventListener('click', () => {
-    const name = recNameInput.value;
-    const stamina = recStaminaInput.value;
-    const ingredientsStr = recIngsInput.value;
-    const category = document.getElementById('recCategory').value;
-    
-    if(name && stamina && ingredientsStr && category) {
-      const ingObj = {};
-      ingredientsStr.split(',').forEach(part => {
-        part = part.trim();
-        const lastSpaceIndex = part.lastIndexOf(' ');
-        
-        if (lastSpaceIndex !== -1) {
-          const k = part.substring(0, lastSpaceIndex).trim();
-          const v = part.substring(lastSpaceIndex + 1).trim();
-          if(k && v) ingObj[k] = parseFloat(v);
-        }
+    const updatedRecipe = { ...recipe, stamina: stamina, category: categorySelect.value, ingredients: ingredients };
+    if (yieldCount !== 1) updatedRecipe.yield = yieldCount;
+    else delete updatedRecipe.yield; // 미지정 시 1개로 계산
+    variants[index] = updatedRecipe;
+    appData.recipes[key] = variants.length === 1 ? variants[0] : variants;
+    finishEdit(key, newName);
+  });
+  div.querySelector('.edit-cancel').addEventListener('click', cancelEdit);
+}
+
+// --- 데이터 검사 ---
+// 계산기에서 item_not_found, material_price_missing, circular_dependency로 드러나는 문제를 미리 찾습니다.
+// level: error(계산이 실패함) | warning(계산은 되지만 확인 필요)
+function validateData(data = appData) {
+  const materials = data.materials || {};
+  const recipes = data.recipes || {};
+  const categories = data.categories || DEFAULT_CATEGORIES;
+  const issues = [];
+  const add = (level, type, key, index, message) => issues.push({ level: level, type: type, key: key, index: index, message: message });
+  const variantsOf = (name) => Array.isArray(recipes[name]) ? recipes[name] : [recipes[name]];
+  const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+  Object.keys(materials).forEach(name => {
+    const price = materials[name];
+    if (!isNumber(price) || price <= 0) add('error', 'materials', name, undefined, `가격이 올바르지 않습니다 (${price})`);
+  });
+
+  const usedIngredients = new Set();
+  Object.keys(recipes).forEach(name => {
+    variantsOf(name).forEach((recipe, index) => {
+      const ingredients = recipe.ingredients || {};
+      if (Object.keys(ingredients).length === 0) add('error', 'recipes', name, index, '재료가 없습니다');
+      if (!isNumber(recipe.stamina) || recipe.stamina < 0) add('error', 'recipes', name, index, `스태미나가 올바르지 않습니다 (${recipe.stamina})`);
+      if (recipe.yield !== undefined && !isValidYield(recipe.yield)) add('error', 'recipes', name, index, `생산 개수가 올바르지 않습니다 (${recipe.yield})`);
+      if (recipe.category && !categories[recipe.category]) add('warning', 'recipes', name, index, `알 수 없는 카테고리 '${recipe.category}' (기본 규칙으로 계산)`);
+      Object.entries(ingredients).forEach(([ingName, count]) => {
+        usedIngredients.add(ingName);
+        if (!isNumber(count) || count <= 0) add('error', 'recipes', name, index, `'${ingName}' 개수가 올바르지 않습니다 (${count})`);
+        if (materials[ingName] === undefined && recipes[ingName] === undefined) add('error', 'recipes', name, index, `없는 재료 '${ingName}'을(를) 참조합니다`);
       });
+    });
+  });
 
-      // Ensure the recipes object exists
-      if (!appData.recipes) appData.recipes = {};
+  Object.keys(materials).forEach(name => {
+    if (!usedIngredients.has(name) && recipes[name] === undefined) add('warning', 'materials', name, undefined, '어떤 레시피에서도 쓰이지 않습니다');
+  });
 
-      appData.recipes[name] = {
-        stamina: parseFloat(stamina),
-        category: category, // Category is always added now
-        ingredients: ingObj
-      };
-      renderList('recipes');
-      renderJsonPreview();
-      clearInputs(['recName', 'recStamina', 'recIngs']);
+  // 순환 참조: 재료를 따라가다 방문 중인 품목을 다시 만나면 그 경로를 보고합니다. (순환마다 한 번)
+  const state = {};
+  const reported = new Set();
+  const visit = (name, path) => {
+    if (state[name] === 2 || recipes[name] === undefined) return;
+    if (state[name] === 1) {
+      const cycle = path.slice(path.indexOf(name));
+      const cycleKey = [...cycle].sort().join('|');
+      if (!reported.has(cycleKey)) {
+        reported.add(cycleKey);
+        add('error', 'recipes', name, undefined, `순환 참조: ${[...cycle, name].join(' → ')}`);
+      }
+      return;
     }
-  });
+    state[name] = 1;
+    variantsOf(name).forEach(recipe => Object.keys(recipe.ingredients || {}).forEach(ingName => visit(ingName, [...path, name])));
+    state[name] = 2;
+  };
+  Object.keys(recipes).forEach(name => visit(name, []));
+
+  return issues;
+}
+
+// 검사 결과 목록. "이동"을 누르면 해당 항목을 목록에서 수정 상태로 엽니다.
+function renderValidationReport() {
+  const reportEl = document.getElementById('validationReport');
+  if (!reportEl) return;
+  const issues = validateData().sort((a, b) => (a.level === 'error' ? 0 : 1) - (b.level === 'error' ? 0 : 1)); // 오류 먼저
+  const errorCount = issues.filter(issue => issue.level === 'error').length;
+  const warningCount = issues.length - errorCount;
+
+  const downloadBtn = document.getElementById('downloadBtn');
+  if (downloadBtn && downloadBtn.dataset.confirmed) {
+    // 데이터가 바뀌면 다운로드 경고를 다시 확인받습니다.
+    delete downloadBtn.dataset.confirmed;
+    downloadBtn.textContent = 'JSON 파일 다운로드';
+  }
+
+  if (issues.length === 0) {
+    reportEl.innerHTML = '<p class="validation-ok"><span class="badge good">문제 없음</span> 모든 항목이 올바릅니다.</p>';
+    return;
+  }
+  reportEl.innerHTML = `
+    <p><span class="badge bad">오류 ${errorCount}개</span> <span class="badge info">경고 ${warningCount}개</span></p>
+    ${issues.map(issue => `
+      <div class="list-item validation-${issue.level}">
+        <div><span class="badge ${issue.level === 'error' ? 'bad' : 'info'}">${issue.level === 'error' ? '오류' : '경고'}</span>
+          <b>${issue.key}</b>${issue.index > 0 ? ` <small>(대안 ${issue.index + 1})</small>` : ''} <span style="font-size:12px; color:#666">${issue.message}</span></div>
+        <button class="btn-sm btn-edit" onclick="jumpToEntry('${issue.type}', '${issue.key}', ${issue.index || 0})">이동</button>
+      </div>
+    `).join('')}
+  `;
+}
+
+window.jumpToEntry = function(type, key, variantIndex) {
+  startEdit(type, key, variantIndex);
+  const editingEl = document.querySelector(`#${type}List .editing`);
+  if (editingEl) editingEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+};
+
+// 레시피 수정 시 재료 이름 자동완성 목록
+function renderEditorItemList() {
+  const datalist = document.getElementById('editorItemList');
+  if (!datalist) return;
+  const names = new Set([...Object.keys(appData.materials || {}), ...Object.keys(appData.recipes || {})]);
+  datalist.innerHTML = [...names].sort().map(name => `<option value="${name}"></option>`).join('');
+}
+
+// 카테고리 목록이 없는 예전 data.json은 기본 규칙으로 채워 편집할 수 있게 합니다.
+function ensureCategories() {
+  if (!appData.categories) {
+    appData.categories = JSON.parse(JSON.stringify(DEFAULT_CATEGORIES));
+    console.log('카테고리 설정이 없어 기본 카테고리 규칙을 추가했습니다.');
+  }
+}
+
+// 해당 카테고리의 레시피(대안 포함)가 있는 품목 이름 목록
+function getRecipesInCategory(category) {
+  return Object.keys(appData.recipes || {})
+    .filter(name => getRecipeVariants(name).some(recipe => recipe.category === category));
+}
+
+// 레시피 카테고리 드롭다운을 카테고리 목록으로 다시 채웁니다. (선택값 유지)
+function renderCategorySelect() {
+  const select = document.getElementById('recCategory');
+  const current = select.value;
+  const names = Object.keys(getCategories());
+  select.innerHTML = names.map(name => `<option value="${name}">${name}</option>`).join('');
+  if (names.includes(current)) select.value = current;
+}
+
+// 납품 단계 입력란을 현재 설정(없으면 기본값)으로 채웁니다.
+function renderDeliveryTiers() {
+  const { tiers, milestones, max_rounds } = getDeliveryTiers();
+  document.getElementById('tierTable').value = tiers.map(t => `${t.from}:${t.count}`).join(', ');
+  document.getElementById('tierMilestones').value = milestones.join(', ');
+  document.getElementById('tierMaxRounds').value = max_rounds;
 }
 
 function renderList(type) {
@@ -1057,17 +4097,27 @@ function renderList(type) {
     Object.keys(source).sort().forEach(key => {
       const div = document.createElement('div');
       div.className = 'list-item';
-      div.innerHTML = `
-        <div><b>${key}</b> <span style="font-size:12px; color:#666">${source[key]} 코인</span></div>
-        <button class="btn-sm" onclick="deleteItem('${type}', '${key}')">삭제</button>
-      `;
+      // 레시피도 있는 품목은 계산기에서 구매/제작 중 저렴한 쪽을 고릅니다.
+      const craftableBadge = getRecipeVariants(key).length > 0 ? ' <span class="badge info">제작 가능</span>' : '';
+      if (editingEntry && editingEntry.type === type && editingEntry.key === key) {
+        renderMaterialEditForm(div, key);
+      } else {
+        div.innerHTML = `
+          <div><b>${key}</b>${craftableBadge} <span style="font-size:12px; color:#666">${source[key]} 코인</span></div>
+          <div class="list-actions">
+            <button class="btn-sm btn-edit" onclick="startEdit('${type}', '${key}')">수정</button>
+            <button class="btn-sm" onclick="deleteItem('${type}', '${key}')">삭제</button>
+          </div>
+        `;
+      }
       listEl.appendChild(div);
     });
+    renderEditorItemList();
   } else if (type === 'recipes') {
     Object.keys(source).sort((a, b) => {
-        // Sort by category first, then by name
-        const itemA = source[a];
-        const itemB = source[b];
+        // Sort by category first, then by name (대안 레시피는 첫 번째 레시피 기준)
+        const itemA = getRecipeVariants(a)[0];
+        const itemB = getRecipeVariants(b)[0];
         if (itemA.category === '가공품' && itemB.category !== '가공품') return -1;
         if (itemA.category !== '가공품' && itemB.category === '가공품') return 1;
         if (itemA.category && itemB.category && itemA.category !== itemB.category) {
@@ -1075,33 +4125,220 @@ function renderList(type) {
         }
         return a.localeCompare(b);
     }).forEach(key => {
-      const item = source[key];
+      const variants = getRecipeVariants(key);
+      variants.forEach((item, index) => {
+        const div = document.createElement('div');
+        div.className = 'list-item';
+        const categoryDisplay = item.category ? `(${item.category})` : '';
+        const yieldDisplay = getRecipeYield(item) > 1 ? ` / ${getRecipeYield(item)}개 생산` : '';
+        const valStr = `⚡${item.stamina} ${categoryDisplay} / 재료: ${JSON.stringify(item.ingredients)}${yieldDisplay}`;
+        // 대안 레시피는 하나씩 삭제할 수 있도록 순번을 함께 넘깁니다.
+        let variantLabel = variants.length > 1 ? ` <span class="badge info">대안 ${index + 1}</span>` : '';
+        if (index === 0 && appData.materials && appData.materials[key] !== undefined) {
+          variantLabel += ` <span class="badge info">구매 가능 ${appData.materials[key]}코인</span>`;
+        }
+        const deleteArgs = variants.length > 1 ? `'${type}', '${key}', ${index}` : `'${type}', '${key}'`;
+        if (editingEntry && editingEntry.type === type && editingEntry.key === key && editingEntry.index === index) {
+          renderRecipeEditForm(div, key, index);
+        } else {
+          div.innerHTML = `
+            <div><b>${key}</b>${variantLabel} <span style="font-size:12px; color:#666">${valStr}</span></div>
+            <div class="list-actions">
+              <button class="btn-sm btn-edit" onclick="startEdit('${type}', '${key}', ${index})">수정</button>
+              <button class="btn-sm" onclick="deleteItem(${deleteArgs})">삭제</button>
+            </div>
+          `;
+        }
+        listEl.appendChild(div);
+      });
+    });
+    renderEditorItemList();
+  } else if (type === 'categories') {
+    Object.keys(source).forEach(key => {
+      const rule = getCategoryRule(key);
+      const usedBy = getRecipesInCategory(key).length;
+      const ruleStr = rule.exempt
+        ? '절약 미적용'
+        : `레벨당 ${+(rule.conservation_rate * 100).toFixed(2)}% 감소 / ${ROUNDING_MODES[rule.rounding]}`;
       const div = document.createElement('div');
       div.className = 'list-item';
-      const categoryDisplay = item.category ? `(${item.category})` : '';
-      const valStr = `⚡${item.stamina} ${categoryDisplay} / 재료: ${JSON.stringify(item.ingredients)}`;
       div.innerHTML = `
-        <div><b>${key}</b> <span style="font-size:12px; color:#666">${valStr}</span></div>
+        <div><b>${key}</b> <span style="font-size:12px; color:#666">${ruleStr} / 레시피 ${usedBy}개</span></div>
         <button class="btn-sm" onclick="deleteItem('${type}', '${key}')">삭제</button>
       `;
       listEl.appendChild(div);
     });
+    renderCategorySelect();
+  }
+}
+
+// name을 재료로 쓰는 레시피: direct는 바로 쓰는 레시피, transitive는 그 레시피를 거쳐 간접적으로 쓰는 레시피
+// settings는 name을 가리키는 설정 (스태미나 가치 기준 레시피)
+function getWhereUsed(name) {
+  const usedBy = {}; // 재료 이름 -> 그 재료를 쓰는 레시피 이름 목록
+  Object.keys(appData.recipes || {}).forEach(recipeName => {
+    getRecipeVariants(recipeName).forEach(recipe => {
+      Object.keys(recipe.ingredients || {}).forEach(ingName => {
+        if (!usedBy[ingName]) usedBy[ingName] = new Set();
+        usedBy[ingName].add(recipeName);
+      });
+    });
+  });
+
+  const direct = [...(usedBy[name] || [])].filter(recipeName => recipeName !== name);
+  const seen = new Set([name, ...direct]);
+  const queue = [...direct];
+  const transitive = [];
+  while (queue.length > 0) {
+    (usedBy[queue.shift()] || []).forEach(recipeName => {
+      if (seen.has(recipeName)) return;
+      seen.add(recipeName);
+      transitive.push(recipeName);
+      queue.push(recipeName);
+    });
+  }
+  const settings = appData.settings && appData.settings.stamina_reference === name ? ['stamina_reference'] : [];
+  return { direct: direct.sort(), transitive: transitive.sort(), settings: settings };
+}
+
+// 모든 레시피에서 재료 oldName을 newName으로 바꿉니다. 이미 newName이 있는 레시피는 개수를 합칩니다.
+function replaceIngredient(oldName, newName) {
+  let updated = 0;
+  Object.keys(appData.recipes || {}).forEach(recipeName => {
+    getRecipeVariants(recipeName).forEach(recipe => {
+      if (!recipe.ingredients || recipe.ingredients[oldName] === undefined) return;
+      const count = recipe.ingredients[oldName];
+      const ingredients = {};
+      Object.entries(recipe.ingredients).forEach(([ingName, ingCount]) => {
+        if (ingName === oldName) ingredients[newName] = (ingredients[newName] || 0) + count;
+        else ingredients[ingName] = (ingredients[ingName] || 0) + ingCount;
+      });
+      recipe.ingredients = ingredients;
+      updated++;
+    });
+  });
+  return updated;
+}
+
+let pendingDelete = null; // 사용처 확인 중인 삭제 { type, key, variantIndex }
+
+// 삭제하면 이름이 재료/레시피 어디에도 남지 않는데 다른 레시피가 쓰고 있으면, 바로 지우지 않고 사용처를 보여줍니다.
+// 스태미나 가치 기준 레시피는 같은 이름의 재료가 남아도 레시피가 없어지면 쓸 수 없으므로 따로 확인합니다.
+window.deleteItem = function(type, key, variantIndex) {
+  if (type === 'materials' || type === 'recipes') {
+    const otherType = type === 'materials' ? 'recipes' : 'materials';
+    const removesRecipe = type === 'recipes' && (variantIndex === undefined || getRecipeVariants(key).length <= 1);
+    const removesName = (appData[otherType] || {})[key] === undefined
+      && (variantIndex === undefined || getRecipeVariants(key).length <= 1);
+    const whereUsed = getWhereUsed(key);
+    if (!removesName) {
+      whereUsed.direct = [];
+      whereUsed.transitive = [];
+    }
+    if (!removesRecipe) whereUsed.settings = [];
+    if (whereUsed.direct.length > 0 || whereUsed.settings.length > 0) {
+      pendingDelete = { type: type, key: key, variantIndex: variantIndex };
+      renderWhereUsedPanel(whereUsed);
+      return;
+    }
   }
+  removeItem(type, key, variantIndex);
+}
+
+function renderWhereUsedPanel(whereUsed) {
+  const panel = document.getElementById('whereUsedPanel');
+  const { key } = pendingDelete;
+  panel.style.display = '';
+  panel.innerHTML = `
+    <h3>'${key}' 삭제 확인</h3>
+    <p style="font-size:12px; margin:5px 0 10px; color:#666;">
+      이 항목을 쓰는 곳이 있습니다. 그대로 삭제하면 아래 레시피를 계산할 수 없습니다.
+    </p>
+    <div class="where-used">
+      ${whereUsed.direct.length > 0 ? `<div><b>직접 사용 (${whereUsed.direct.length})</b> ${whereUsed.direct.join(', ')}</div>` : ''}
+      ${whereUsed.settings.length > 0 ? `<div><b>설정</b> 스태미나 가치 기준 레시피 (삭제하면 기본값으로 계산)</div>` : ''}
+      ${whereUsed.transitive.length > 0 ? `<div><b>간접 사용 (${whereUsed.transitive.length})</b> ${whereUsed.transitive.join(', ')}</div>` : ''}
+    </div>
+    <div class="input-group" style="margin-top:10px;">
+      <label for="replaceWith">다른 품목으로 바꾸기</label>
+      <input type="text" id="replaceWith" class="input" list="editorItemList" placeholder="대신 쓸 재료 또는 제작품 이름">
+    </div>
+    <div class="edit-actions">
+      <button class="btn btn-secondary" id="cancelDeleteBtn">취소</button>
+      <button class="btn" id="replaceDeleteBtn">바꾸고 삭제</button>
+      <button class="btn btn-danger" id="forceDeleteBtn">그래도 삭제</button>
+    </div>
+  `;
+
+  const close = () => {
+    pendingDelete = null;
+    panel.style.display = 'none';
+    panel.innerHTML = '';
+  };
+  panel.querySelector('#cancelDeleteBtn').addEventListener('click', close);
+  panel.querySelector('#forceDeleteBtn').addEventListener('click', () => {
+    const { type, variantIndex } = pendingDelete;
+    close();
+    removeItem(type, key, variantIndex);
+  });
+  panel.querySelector('#replaceDeleteBtn').addEventListener('click', () => {
+    const replacement = panel.querySelector('#replaceWith').value.trim();
+    const exists = (appData.materials || {})[replacement] !== undefined || (appData.recipes || {})[replacement] !== undefined;
+    if (!replacement || replacement === key || !exists) {
+      console.log('대신 쓸 품목은 이미 있는 다른 재료 또는 제작품이어야 합니다.');
+      return;
+    }
+    // 이 항목을 쓰는 레시피로 바꾸면 순환 참조가 생깁니다.
+    if (whereUsed.direct.includes(replacement) || whereUsed.transitive.includes(replacement)) {
+      console.log(`'${replacement}'(은)는 '${key}'을(를) 재료로 쓰므로 대신 쓸 수 없습니다.`);
+      return;
+    }
+    const { type, variantIndex } = pendingDelete;
+    const updated = whereUsed.direct.length > 0 ? replaceIngredient(key, replacement) : 0;
+    close();
+    if (updated > 0) console.log(`레시피 ${updated}개에서 '${key}'을(를) '${replacement}'(으)로 바꿨습니다.`);
+    if (whereUsed.settings.length > 0) {
+      // 기준은 레시피여야 하므로 재료로 바꾸면 기본값으로 계산됩니다.
+      if (getRecipeVariants(replacement).length > 0) {
+        appData.settings.stamina_reference = replacement;
+        console.log(`스태미나 가치 기준 레시피를 '${replacement}'(으)로 바꿨습니다.`);
+      } else {
+        console.log(`'${replacement}'에는 레시피가 없어 스태미나 가치 기준 레시피는 기본값으로 계산됩니다.`);
+      }
+    }
+    removeItem(type, key, variantIndex);
+    renderList(type === 'materials' ? 'recipes' : 'materials');
+  });
+  panel.scrollIntoView({ behavior: 'smooth', block: 'center' });
 }
 
-window.deleteItem = function(type, key) {
-  if (type === 'recipes' && appData.recipes) {
+function removeItem(type, key, variantIndex) {
+  if (type === 'recipes' && appData.recipes && variantIndex !== undefined) {
+    // 대안 레시피 하나만 삭제하고, 하나만 남으면 일반 레시피로 되돌립니다.
+    const remaining = getRecipeVariants(key).filter((_, i) => i !== variantIndex);
+    if (remaining.length === 0) delete appData.recipes[key];
+    else appData.recipes[key] = remaining.length === 1 ? remaining[0] : remaining;
+  } else if (type === 'recipes' && appData.recipes) {
     delete appData.recipes[key];
   } else if (appData[type]) {
     delete appData[type][key];
   }
+  if (type === 'categories') {
+    const usedBy = getRecipesInCategory(key);
+    if (usedBy.length > 0) {
+      console.log(`'${key}' 카테고리를 쓰는 레시피가 ${usedBy.length}개 있습니다. 기본 규칙(레벨당 5%, 반올림)으로 계산됩니다.`);
+    }
+  }
   
   renderList(type);
   renderJsonPreview();
 }
 
 function renderJsonPreview() {
-  document.getElementById('jsonPreview').textContent = JSON.stringify(appData, null, 2);
+  const json = JSON.stringify(appData, null, 2);
+  document.getElementById('jsonPreview').textContent = json;
+  recordEditorHistory(json); // 실행 취소 기록과 임시 저장
+  renderValidationReport(); // 바뀐 데이터로 다시 검사
 }
 
 function clearInputs(ids) {